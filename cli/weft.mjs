@@ -0,0 +1,311 @@
+#!/usr/bin/env bun
+/**
+ * useWeft CLI
+ *
+ *   bun cli/weft.mjs prerender <dir> [options]
+ *   bun cli/weft.mjs eject <dir|url>... [options]
+ *   bun cli/weft.mjs serve [--port 8787] [--store dir]
+ *
+ * prerender  Bake each page's bundle into its HTML. Every .html file under
+ *            <dir> that loads the useWeft script is read the way the
+ *            client's scan() would see it, its bundle is compiled on the
+ *            worker (warming /css for first visits), and a
+ *            <link rel="stylesheet" data-weft-bundle> goes into <head>.
+ *            The client adopts that link as an optimistic hit, so even a
+ *            first visit paints styled. Safe to re-run.
+ *
+ * eject      Leave useWeft for a plain stylesheet. Collects the classes of
+ *            every page under each <dir> (and of each http(s) URL, e.g.
+ *            pages served by a local dev server), plus safelists, compiles
+ *            the union into one .css file, and rewrites the local pages
+ *            to link it instead of loading the useWeft script. URLs are
+ *            only read, never rewritten.
+ *
+ * serve      Run the reference backend (lib/backend.mjs): /v, /compile
+ *            and /css, with compiled bundles kept under --store (default
+ *            .weft-store). Point pages at it with data-api; it answers
+ *            with the same bundle IDs as the hosted worker.
+ *
+ * Options (default to the data-* attributes on each page's script tag):
+ *   --api <url>          Worker to compile on and link to
+ *   --templates          Also scan <template> contents
+ *   --bindings <list>    Binding attributes to scan ("true" for defaults)
+ *   --safelist <list>    Extra classes, e.g. "bg-{red,green}-500"
+ *   --plugins <list>     First-party plugins, e.g. "typography,forms"
+ *   --out <file>         eject: stylesheet to write (default
+ *                        <first dir>/weft.css)
+ *   --href <url>         eject: href pages link it by (default: relative
+ *                        path from each page)
+ *   --dry-run            Print what would happen without compiling or
+ *                        writing
+ *   --port <n>           serve: port to listen on (default 8787)
+ *   --store <dir>        serve: where compiled bundles are kept
+ */
+
+import { readdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, join, relative, sep } from "node:path";
+import { parseArgs } from "node:util";
+
+import {
+  DEFAULT_API,
+  activePlugins,
+  compileInput,
+  fetchVersion,
+  pageInput,
+  postCompile,
+} from "../lib/bundle.mjs";
+import {
+  escapeAttr,
+  injectLink,
+  insertInHead,
+  readPage,
+  removeTags,
+  tags,
+  weftScript,
+} from "../lib/html.mjs";
+
+const USAGE = `usage: bun cli/weft.mjs prerender <dir> [--api url] [--dry-run]
+       bun cli/weft.mjs eject <dir|url>... [--out file] [--href url] [--dry-run]
+       bun cli/weft.mjs serve [--port 8787] [--store dir]`;
+
+const OPTIONS = {
+  api: { type: "string" },
+  templates: { type: "boolean" },
+  bindings: { type: "string" },
+  safelist: { type: "string" },
+  plugins: { type: "string" },
+  out: { type: "string" },
+  href: { type: "string" },
+  "dry-run": { type: "boolean" },
+  port: { type: "string" },
+  store: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+const COMMANDS = { prerender, eject, serve };
+
+// ── Helpers ──
+
+async function htmlFiles(dir) {
+  const entries = await readdir(dir, { recursive: true, withFileTypes: true });
+  return entries
+    .filter(
+      (e) =>
+        e.isFile() &&
+        /\.html?$/i.test(e.name) &&
+        !/(^|[\\/])(node_modules|\.git)([\\/]|$)/.test(e.parentPath ?? e.path),
+    )
+    .map((e) => join(e.parentPath ?? e.path, e.name))
+    .sort();
+}
+
+// Page options from the command line, in readPage() form
+function overrides(values) {
+  const out = {};
+  if (values.api) out.api = values.api.replace(/\/+$/, "");
+  if (values.templates) out.templates = "true";
+  for (const name of ["bindings", "safelist", "plugins"])
+    if (values[name] != null) out[name] = values[name];
+  return out;
+}
+
+// One /v round-trip per worker
+function versions() {
+  const cache = new Map();
+  return (api) => {
+    if (!cache.has(api)) cache.set(api, fetchVersion(api));
+    return cache.get(api);
+  };
+}
+
+// ── prerender ──
+
+async function prerender(args, values) {
+  const [dir] = args;
+  if (!dir) throw new Error(USAGE);
+
+  const opts = overrides(values);
+  const versionOf = versions();
+  let baked = 0;
+
+  for (const file of await htmlFiles(dir)) {
+    const name = relative(dir, file);
+    const html = await readFile(file, "utf8");
+    const page = readPage(html, opts);
+    if (!page.script) {
+      console.log(`skip  ${name} (no useWeft script)`);
+      continue;
+    }
+    if (!page.classes.length) {
+      console.log(`skip  ${name} (no classes)`);
+      continue;
+    }
+
+    const api = page.api || DEFAULT_API;
+    const input = await pageInput(page, await versionOf(api));
+
+    if (values["dry-run"]) {
+      console.log(`${input.id}  ${name} (${page.classes.length} classes)`);
+      continue;
+    }
+
+    const d = await postCompile(api, input.body);
+    if (d.bundleId !== input.id)
+      console.warn(
+        `[weft] ${name}: worker answered ${d.bundleId} for ${input.id}; the client won't adopt this link`,
+      );
+
+    await writeFile(
+      file,
+      injectLink(html, api + "/css/" + d.bundleId, d.bundleId),
+    );
+    console.log(`${d.bundleId}  ${name} (${page.classes.length} classes)`);
+    baked++;
+  }
+
+  if (!values["dry-run"])
+    console.log(`\nBaked ${baked} page${baked === 1 ? "" : "s"}.`);
+}
+
+// ── eject ──
+
+async function eject(args, values) {
+  if (!args.length) throw new Error(USAGE);
+
+  const opts = overrides(values);
+  const pages = []; // { name, file?, html, page }
+
+  for (const arg of args) {
+    if (/^https?:\/\//.test(arg)) {
+      const r = await fetch(arg);
+      if (!r.ok) throw new Error(`${arg}: ${r.status}`);
+      const html = await r.text();
+      pages.push({ name: arg, html, page: readPage(html, opts) });
+      continue;
+    }
+    for (const file of await htmlFiles(arg)) {
+      const html = await readFile(file, "utf8");
+      const page = readPage(html, opts);
+      if (page.script) pages.push({ name: file, file, html, page });
+    }
+  }
+  if (!pages.length) throw new Error("no pages load the useWeft script");
+
+  // Union of everything any page would have compiled
+  const classes = new Set();
+  const themes = new Set();
+  const css = new Set();
+  const plugins = new Set();
+  for (const { page } of pages) {
+    for (const c of page.classes) classes.add(c);
+    if (page.theme) themes.add(page.theme);
+    if (page.css) css.add(page.css);
+    for (const p of page.plugins) plugins.add(p);
+  }
+  if (themes.size > 1)
+    console.warn(
+      `[weft] ${themes.size} different themes across pages; the stylesheet gets all of them, later ones win`,
+    );
+
+  const api =
+    opts.api || pages.find((p) => p.page.api)?.page.api || DEFAULT_API;
+  const dirs = args.filter((a) => !/^https?:\/\//.test(a));
+  const out = values.out || join(dirs[0] || ".", "weft.css");
+  const sorted = [...classes].sort();
+  const local = pages.filter((p) => p.file);
+
+  console.log(
+    `${sorted.length} classes from ${pages.length} page${pages.length === 1 ? "" : "s"}`,
+  );
+  if (values["dry-run"]) {
+    console.log(`would write ${out} and rewrite ${local.length} file(s)`);
+    return;
+  }
+
+  const version = await fetchVersion(api);
+  const input = await compileInput(version.v, sorted, {
+    theme: [...themes].join("\n"),
+    css: [...css].join("\n"),
+    plugins: activePlugins([...plugins].sort(), version.plugins),
+  });
+  const d = await postCompile(api, input.body);
+  let text = d.css;
+  if (!text) {
+    const r = await fetch(api + "/css/" + d.bundleId);
+    if (!r.ok) throw new Error(`${api}/css/${d.bundleId}: ${r.status}`);
+    text = await r.text();
+  }
+  await writeFile(
+    out,
+    `/* Ejected from useWeft (${d.bundleId}, ${sorted.length} classes) */\n` +
+      text,
+  );
+  console.log(`wrote ${out}`);
+
+  for (const { file, html } of local) {
+    const href =
+      values.href || relative(dirname(file), out).split(sep).join("/");
+    let next = removeTags(
+      html,
+      (t) =>
+        (t.name === "link" && "data-weft-bundle" in t.attrs) ||
+        (t.name === "script" &&
+          t.attrs.type === "application/weft-safelist" &&
+          !t.inTemplate),
+    );
+    // Link first, so it lands where the script was
+    next = insertInHead(
+      next,
+      `<link rel="stylesheet" href="${escapeAttr(href)}">`,
+    );
+    const script = weftScript(tags(next));
+    next = removeTags(next, (t) => t.start === script.start);
+    await writeFile(file, next);
+    console.log(`rewrote ${relative(".", file)}`);
+  }
+}
+
+// ── serve ──
+
+async function serve(args, values) {
+  if (typeof Bun === "undefined") throw new Error("serve needs Bun");
+  // Loaded here so the other commands don't need tailwindcss
+  const { createBackend } = await import("../lib/backend.mjs");
+
+  const backend = await createBackend({ store: values.store });
+  const server = Bun.serve({
+    port: Number(values.port) || 8787,
+    fetch: backend.fetch,
+  });
+  console.log(
+    `useWeft backend on http://localhost:${server.port} (${backend.version}; plugins: ${backend.plugins.join(", ") || "none"})`,
+  );
+  // Keep running until interrupted
+  await new Promise(() => {});
+}
+
+// ── Main ──
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const [command, ...args] = positionals;
+
+  if (values.help || !COMMANDS[command]) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+  await COMMANDS[command](args, values);
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => process.exit(code),
+  (e) => {
+    console.error(`[weft] ${e.message}`);
+    process.exit(1);
+  },
+);
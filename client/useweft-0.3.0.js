@@ -1,17 +1,68 @@
 /**
  * useWeft Client v0.3.0-dev
+ *
+ * Options (data attributes on the script tag):
+ *   data-api="..."          API base URL (default: https://api.useweft.dev)
+ *   data-observe="true"     Enable MutationObserver (off by default)
+ *   data-delta="true"       Compile only newly seen classes on rehash
+ *   data-templates="true"   Also scan <template> contents
+ *   data-bindings="..."     Also scan binding attributes ("true" for
+ *                           :class, x-bind:class, v-bind:class)
+ *   data-safelist="..."     Classes to always include, e.g. "visible
+ *                           bg-{red,green}-500"
+ *   data-plugins="..."      First-party plugins, e.g. "typography,forms"
+ *   data-cloak="..."        Hide until CSS applies: "page", "regions"
+ *                           (only [data-weft-cloak] elements) or "fade".
+ *                           Skipped when this page's bundle is already
+ *                           linked; a page whose bundle is known from
+ *                           another page still hides briefly, until that
+ *                           bundle applies after DOMContentLoaded
+ *   data-cloak-timeout="ms" Uncloak anyway after this long (default 3000)
+ *   data-sw="url"           Register client/useweft-sw.js for offline use
+ *   data-superset="0.25"    Reuse a cached bundle holding every class on
+ *                           the page plus up to this share extra ("true" =
+ *                           0.25)
+ *   data-superset-compile="true"
+ *                           Then compile the exact bundle in the background
+ *   data-version-ttl="ms"   Longest a remembered /v token is used without
+ *                           waiting for the worker (default 1 day)
+ *   data-css-origins="..."  Origins CSS may @import or url() from besides
+ *                           the page's and the API's, which are all it
+ *                           may reach by default, e.g.
+ *                           "https://cdn.example.com" ("*" = any)
+ *   data-nonce="..."        CSP nonce for injected <style>s (default: the
+ *                           script tag's own nonce)
+ *   data-csp="strict"       Never inject inline CSS; wait for each
+ *                           bundle's <link> (no deltas, no cloak)
+ *   data-lookup="false"     Upload class lists straight away instead of
+ *                           first asking the worker for an existing bundle
+ *
+ * Plugins can also be set from JS before the script runs:
+ *   window.useweftConfig = { plugins: ["typography", "forms"] }
+ *
+ * This is useweft.mjs wrapped for a plain <script> tag: the options
+ * above become createWeft() options, the instance is window.useweft.
+ * Edit the module and run `mise run build`; don't edit the Core region
+ * here by hand.
  */
 
 (function () {
   "use strict";
 
-  // ── Config ──
+  // ── Core (generated from useweft.mjs by `mise run build`) ──
 
-  var s = document.currentScript;
-  var API = (s && s.getAttribute("data-api")) || "https://api.useweft.dev";
+  // ── Defaults ──
+
+  var DEFAULT_API = "https://api.useweft.dev";
+  var DEFAULT_PREFIX = "weft:";
 
-  var autoObserve = s && s.getAttribute("data-observe") === "true";
   var DEBOUNCE_MS = 200;
+  var DELTA_MAX_LAYERS = 8;
+  var CONSOLIDATE_MS = 10000;
+  var DEFAULT_BINDINGS = [":class", "x-bind:class", "v-bind:class"];
+  var CLOAK_TIMEOUT_MS = 3000;
+  var SUPERSET_DEFAULT = 0.25;
+  var VERSION_TTL_MS = 86400000;
 
   // ── Storage helpers ──
 
@@ -50,394 +101,2258 @@
     } catch (e) {}
   }
 
-  // ── Bundle tracking ──
+  // ── Errors ──
   //
-  // Keep a FIFO list of known bundle IDs so we can evict stale
-  // localStorage entries. Capped at 50 to stay well within quota.
+  // Thrown through ready() so callers can branch on `code`:
+  // "compile" (worker or network), "css" (stylesheet failed to load),
+  // "integrity" (CSS failed its digest or points off the allowlist),
+  // "detached" (document went away first).
 
-  var LS_ORDER_KEY = "weft:_order";
-  var LS_MAX = 50;
-
-  function trackBundle(bundleId) {
-    lsSet("weft:" + bundleId, "1");
-    try {
-      var raw = localStorage.getItem(LS_ORDER_KEY);
-      var order = raw ? JSON.parse(raw) : [];
-      // Avoid duplicates — move to end
-      var idx = order.indexOf(bundleId);
-      if (idx !== -1) order.splice(idx, 1);
-      order.push(bundleId);
-      // Evict oldest beyond cap
-      while (order.length > LS_MAX) {
-        lsDel("weft:" + order.shift());
-      }
-      localStorage.setItem(LS_ORDER_KEY, JSON.stringify(order));
-    } catch (e) {}
+  function WeftError(code, message, cause) {
+    var e = new Error(message);
+    this.name = "WeftError";
+    this.code = code;
+    this.message = message;
+    this.cause = cause;
+    this.stack = e.stack;
   }
+  WeftError.prototype = Object.create(Error.prototype);
+  WeftError.prototype.constructor = WeftError;
 
-  // ── Page key ──
+  // ── Hash ──
 
-  var pageKey = "weft:p:" + location.pathname + location.search;
+  function sha16(text) {
+    return crypto.subtle
+      .digest("SHA-256", new TextEncoder().encode(text))
+      .then(function (buf) {
+        for (var h = "", b = new Uint8Array(buf), i = 0; i < b.length; i++)
+          h += (b[i] < 16 ? "0" : "") + b[i].toString(16);
+        return h.slice(0, 16);
+      });
+  }
 
-  // ── Optimistic link ──
-  //
-  // Injected synchronously, BEFORE DOMContentLoaded.
-  // On a warm browser cache, CSS loads before the DOM finishes parsing.
-  // This is the zero-FOUC path for repeat visits in the same session.
-
-  var optimisticId = ssGet(pageKey);
-  var optimisticEl = null;
-  var optimisticLoaded = false;
-
-  if (optimisticId) {
-    optimisticEl = document.createElement("link");
-    optimisticEl.rel = "stylesheet";
-    optimisticEl.href = API + "/css/" + optimisticId;
-    optimisticEl.onload = function () {
-      optimisticLoaded = true;
-    };
-    optimisticEl.onerror = function () {
-      // Bundle expired or version changed — remove from DOM and clear stale hint
-      if (optimisticEl.parentNode) optimisticEl.parentNode.removeChild(optimisticEl);
-      optimisticEl = null;
-      optimisticLoaded = false;
-      ssDel(pageKey);
-    };
-    (document.head || document.documentElement).appendChild(optimisticEl);
+  // Stock bundles hash the version token and classes only. Extra compile
+  // inputs (a page theme, …) each append a "\n<name>:<sha16>" line to
+  // `salt`, so they can never collide with a stock bundle.
+  function computeHash(ver, sorted, salt) {
+    var input = ver + "\n" + sorted.join(",") + (salt || "");
+    return sha16(input).then(function (h) {
+      return "b_" + h;
+    });
   }
 
-  // ── CSS Injection ──
+  // ── Integrity ──
+  //
+  // The worker sends an SRI digest ("sha384-<base64>") with each compiled
+  // bundle. <link>s carry it as their integrity attribute, so the browser
+  // checks them; CSS we inject ourselves is checked here first.
 
-  var active = null;
+  function base64(buf) {
+    for (var s = "", b = new Uint8Array(buf), i = 0; i < b.length; i++)
+      s += String.fromCharCode(b[i]);
+    return btoa(s);
+  }
 
-  function injectLink(url, cb) {
-    var el = document.createElement("link");
-    el.rel = "stylesheet";
-    el.href = url;
-    el.onload = el.onerror = cb || null;
-    swapActive(el);
+  // Resolves true when `css` matches any of the digests in `integrity`
+  function checkIntegrity(css, integrity) {
+    var list = String(integrity).split(/\s+/);
+    var bytes = new TextEncoder().encode(css);
+    return Promise.all(
+      list.map(function (item) {
+        var m = /^sha(256|384|512)-([A-Za-z0-9+/]+={0,2})$/.exec(item);
+        if (!m) return false;
+        return crypto.subtle.digest("SHA-" + m[1], bytes).then(function (buf) {
+          return base64(buf) === m[2];
+        });
+      }),
+    ).then(function (ok) {
+      return ok.indexOf(true) !== -1;
+    });
   }
 
-  function injectStyle(css, cb) {
-    var el = document.createElement("style");
-    el.textContent = css;
-    swapActive(el);
-    if (cb) cb();
+  // Every string and url() in `css`, escapes decoded, in order: @import
+  // targets, image-set() and src() strings as well as plain url()s. A
+  // small tokenizer rather than a regex, so that u\72l(…), comments and
+  // escaped quotes can't hide a reference.
+  var RE_NAME = /[\w\u0080-\uffff-]/;
+  var RE_NEWLINE = /[\n\r\f]/;
+
+  function cssUrls(css) {
+    var out = [];
+    var n = css.length;
+    var i = 0;
+
+    // Decodes the escape at css[i] (a backslash) and steps past it
+    function escape() {
+      var hex = /^[0-9a-f]{1,6}/i.exec(css.slice(i + 1, i + 7));
+      if (!hex) {
+        i += 2;
+        return css.charAt(i - 1);
+      }
+      i += 1 + hex[0].length;
+      if (/\s/.test(css.charAt(i))) i++;
+      var cp = parseInt(hex[0], 16);
+      return cp && cp <= 0x10ffff && (cp < 0xd800 || cp > 0xdfff)
+        ? String.fromCodePoint(cp)
+        : "\ufffd";
+    }
+
+    function startsEscape(at) {
+      return css.charAt(at) === "\\" && !RE_NEWLINE.test(css.charAt(at + 1));
+    }
+
+    function string(quote) {
+      var s = "";
+      for (i++; i < n;) {
+        var c = css.charAt(i);
+        if (c === quote) {
+          i++;
+          break;
+        }
+        if (RE_NEWLINE.test(c)) break;
+        if (c !== "\\") {
+          s += c;
+          i++;
+        } else if (RE_NEWLINE.test(css.charAt(i + 1))) i += 2;
+        else s += escape();
+      }
+      return s;
+    }
+
+    function name() {
+      var s = "";
+      while (i < n) {
+        if (startsEscape(i)) s += escape();
+        else if (RE_NAME.test(css.charAt(i))) s += css.charAt(i++);
+        else break;
+      }
+      return s;
+    }
+
+    // After "url(": the unquoted URL, or null if a string follows (which
+    // the main loop then reads like any other)
+    function unquoted() {
+      while (/\s/.test(css.charAt(i))) i++;
+      var c = css.charAt(i);
+      if (c === '"' || c === "'") return null;
+      var s = "";
+      while (i < n && (c = css.charAt(i)) !== ")") {
+        if (startsEscape(i)) s += escape();
+        else {
+          s += c;
+          i++;
+        }
+      }
+      i++;
+      return s.trim();
+    }
+
+    while (i < n) {
+      var c = css.charAt(i);
+      if (c === "/" && css.charAt(i + 1) === "*") {
+        var end = css.indexOf("*/", i + 2);
+        i = end === -1 ? n : end + 2;
+      } else if (c === '"' || c === "'") {
+        out.push(string(c));
+      } else if (startsEscape(i) || RE_NAME.test(c)) {
+        if (name().toLowerCase() === "url" && css.charAt(i) === "(") {
+          i++;
+          var url = unquoted();
+          if (url !== null) out.push(url);
+        }
+      } else i++;
+    }
+    return out;
   }
 
-  function swapActive(el) {
-    if (active && active.parentNode) active.parentNode.removeChild(active);
-    active = el;
-    document.head.appendChild(el);
-    // Clean up optimistic element once real CSS is in place
-    if (optimisticEl && optimisticEl !== el && optimisticEl.parentNode) {
-      optimisticEl.parentNode.removeChild(optimisticEl);
-      optimisticEl = null;
+  // ── Network ──
+  //
+  // Compiles survive blips: network errors, 408/429 and 5xx are retried
+  // with exponential backoff and jitter, honoring Retry-After (the worker
+  // must list it in Access-Control-Expose-Headers for us to see it).
+  // While the browser says it's offline we don't try at all: the load
+  // fails over to the last known good bundle straight away, and `online`
+  // gives it another go.
+
+  var RETRY_MAX = 4;
+  var RETRY_BASE_MS = 500;
+  var RETRY_CAP_MS = 10000;
+  var RETRY_AFTER_CAP_MS = 60000;
+  var RETRY_STATUS = [408, 425, 429, 500, 502, 503, 504];
+
+  function withRetry(send, label, attempt) {
+    function retry(ms) {
+      return sleep(ms).then(function () {
+        return withRetry(send, label, attempt + 1);
+      });
     }
+
+    if (navigator.onLine === false)
+      return Promise.reject(new Error(label + " offline"));
+
+    return send().then(
+      function (r) {
+        if (r.ok) return r;
+        var err = new Error(label + " " + r.status);
+        if (attempt >= RETRY_MAX || RETRY_STATUS.indexOf(r.status) === -1)
+          throw err;
+        return retry(retryAfter(r) || backoff(attempt));
+      },
+      function (e) {
+        if (attempt >= RETRY_MAX) throw e;
+        return retry(backoff(attempt));
+      },
+    );
+  }
+
+  // Equal jitter: half the exponential step, plus up to half again
+  function backoff(attempt) {
+    var ms = Math.min(RETRY_CAP_MS, RETRY_BASE_MS * Math.pow(2, attempt));
+    return ms / 2 + (Math.random() * ms) / 2;
+  }
+
+  // Retry-After is either delta-seconds or an HTTP date
+  function retryAfter(r) {
+    var h = r.headers && r.headers.get("Retry-After");
+    if (!h) return 0;
+    var ms = isNaN(+h) ? Date.parse(h) - Date.now() : +h * 1000;
+    return ms > 0 ? Math.min(ms, RETRY_AFTER_CAP_MS) : 0;
+  }
+
+  function sleep(ms) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, ms);
+    });
   }
 
-  // ── Scan ──
+  // ── Plugins ──
+  //
+  // Opt-in first-party Tailwind plugins (typography, forms, container
+  // queries, …), forwarded with every compile and hashed into the bundle
+  // ID. Names the worker doesn't advertise in /v are dropped with a
+  // warning, so a typo can't fork the cache.
 
-  function scan() {
+  function parsePlugins(value) {
+    var list = typeof value === "string" ? value.split(",") : value;
     var set = Object.create(null);
-    var els = document.querySelectorAll("[class]");
-    for (var i = 0; i < els.length; i++) {
-      var cl = els[i].classList;
-      for (var j = 0; j < cl.length; j++) set[cl[j]] = 1;
+    for (var i = 0; i < list.length; i++) {
+      var name = String(list[i]).trim();
+      if (name) set[name] = 1;
     }
     return Object.keys(set).sort();
   }
 
-  // ── Hash ──
+  // ── Extract ──
+  //
+  // Candidate classes from framework binding expressions, so classes that
+  // are only toggled on later still ship in the first bundle. We take
+  // every string literal plus bare object keys:
+  //
+  //   :class="{ 'bg-red-500 text-white': err, hidden: !open }"
+  //   → bg-red-500, text-white, hidden
+  //
+  // Anything that isn't really a class just costs a few bytes of bundle.
 
-  function computeHash(ver, sorted) {
-    var input = ver + "\n" + sorted.join(",");
-    return crypto.subtle
-      .digest("SHA-256", new TextEncoder().encode(input))
-      .then(function (buf) {
-        for (var h = "", b = new Uint8Array(buf), i = 0; i < b.length; i++)
-          h += (b[i] < 16 ? "0" : "") + b[i].toString(16);
-        return "b_" + h.slice(0, 16);
-      });
+  var RE_STRING = /(["'`])((?:\\.|(?!\1)[^\\])*)\1/g;
+  var RE_KEY = /[{,]\s*([A-Za-z_$][\w$-]*)\s*:/g;
+  var RE_INTERP = /\$\{[^}]*\}/g;
+
+  function parseBindings(value) {
+    if (value === true || value === "true") return DEFAULT_BINDINGS;
+    if (typeof value !== "string") return [];
+    return value
+      .split(",")
+      .map(function (name) {
+        return name.trim();
+      })
+      .filter(Boolean);
+  }
+
+  function extractTokens(expr, set) {
+    var m;
+    RE_STRING.lastIndex = RE_KEY.lastIndex = 0;
+    while ((m = RE_STRING.exec(expr))) {
+      var parts = m[2].replace(RE_INTERP, " ").split(/\s+/);
+      for (var i = 0; i < parts.length; i++) {
+        if (parts[i] && !/["'`\\]/.test(parts[i])) set[parts[i]] = 1;
+      }
+    }
+    while ((m = RE_KEY.exec(expr))) set[m[1]] = 1;
   }
 
-  // ── Version ──
+  // ── Safelist ──
+  //
+  // Classes that only appear at runtime (toasts, validation states,
+  // classList.add from scripts) are merged into every scan, so the first
+  // bundle already has them and the hash stays stable. Sources are the
+  // script tag's data-safelist and any
+  // <script type="application/weft-safelist"> in the document; both take
+  // whitespace-separated classes with optional {a,b} alternatives.
 
-  var versionToken = null;
+  var SAFELIST_SELECTOR = 'script[type="application/weft-safelist"]';
 
-  function fetchVersion() {
-    return fetch(API + "/v")
-      .then(function (r) {
-        if (!r.ok) throw new Error(r.status);
-        return r.json();
-      })
-      .then(function (d) {
-        versionToken = d.v;
-        return d.v;
-      })
-      .catch(function (e) {
-        console.warn("[weft] version fetch failed", e);
-        versionToken = "unknown";
-        return versionToken;
-      });
+  function parseSafelist(text) {
+    var out = [];
+    var tokens = text.split(/\s+/);
+    for (var i = 0; i < tokens.length; i++) {
+      if (tokens[i]) out = out.concat(expand(tokens[i]));
+    }
+    return out;
   }
 
-  function getVersion() {
-    return versionToken ? Promise.resolve(versionToken) : fetchVersion();
+  // "bg-{red,green}-{500,600}" → bg-red-500, bg-red-600, bg-green-500, …
+  function expand(pattern) {
+    var m = /\{([^{}]*)\}/.exec(pattern);
+    if (!m) return [pattern];
+    var head = pattern.slice(0, m.index);
+    var tail = pattern.slice(m.index + m[0].length);
+    var alts = m[1].split(",");
+    var out = [];
+    for (var i = 0; i < alts.length; i++) {
+      out = out.concat(expand(head + alts[i].trim() + tail));
+    }
+    return out;
   }
 
-  // ── Core ──
+  // ── Contexts ──
+  //
+  // One per document (or subtree) an instance styles: its root, plus any
+  // same-origin iframe or popup document handed to attach(). Every
+  // instance's contexts are listed here for the realm-wide hooks below.
+
+  var contexts = [];
+
+  function createWeft(options) {
+    options = options || {};
+
+    // ── Config ──
+
+    var API = options.api || DEFAULT_API;
+    var rootNode = options.root || document;
+    var prefix = options.storagePrefix || DEFAULT_PREFIX;
+
+    var autoObserve = !!options.observe;
+    var deltaMode = !!options.delta;
+    var scanTemplates = !!options.templates;
+    var bindings = Array.isArray(options.bindings)
+      ? options.bindings
+      : parseBindings(options.bindings);
+    var safelist = parseSafelist([].concat(options.safelist || []).join(" "));
+    var plugins = parsePlugins(options.plugins || []);
+
+    var cloakMode = options.cloak;
+    if (cloakMode === true || cloakMode === "true") cloakMode = "page";
+    var CLOAK_TIMEOUT = options.cloakTimeout || CLOAK_TIMEOUT_MS;
+
+    // Extra classes a reused bundle may carry, as a share of the page's;
+    // NaN = off
+    var SUPERSET_MAX =
+      options.superset === true || options.superset === "true"
+        ? SUPERSET_DEFAULT
+        : parseFloat(options.superset);
+    var supersetCompile = !!options.supersetCompile;
+
+    var VERSION_TTL = options.versionTtl || VERSION_TTL_MS;
 
-  var currentId = null;
-  var ready = false;
-  var loading = false;
-  var needsRescan = false;
+    // Ask for /css/:bundleId before uploading the class list
+    var lookupFirst = options.lookup !== false;
 
-  function load(sorted) {
-    if (!sorted.length) {
-      ready = true;
-      return Promise.resolve();
+    // Content Security Policy: a nonce for the <style>s we inject, or
+    // "strict" to inject none and always wait for the bundle's <link>
+    var nonce = options.nonce || null;
+    var strictCsp = options.csp === "strict";
+
+    // Origins CSS may @import or url() from, besides the page's and the
+    // API's; "*" = any
+    var cssOrigins = String([].concat(options.cssOrigins || []).join(" "))
+      .split(/[\s,]+/)
+      .filter(Boolean);
+    var anyOrigin = cssOrigins.indexOf("*") !== -1;
+
+    // ── Bundle tracking ──
+    //
+    // Keep a FIFO list of known bundle IDs so we can evict stale
+    // localStorage entries. Capped at 50 to stay well within quota.
+    // Each entry holds the bundle's integrity digest when the worker sent
+    // one, else "1".
+
+    var LS_ORDER_KEY = prefix + "_order";
+    var LS_MAX = 50;
+
+    function trackBundle(bundleId, integrity) {
+      lsSet(prefix + bundleId, integrity || lsGet(prefix + bundleId) || "1");
+      try {
+        var raw = localStorage.getItem(LS_ORDER_KEY);
+        var order = raw ? JSON.parse(raw) : [];
+        // Avoid duplicates — move to end
+        var idx = order.indexOf(bundleId);
+        if (idx !== -1) order.splice(idx, 1);
+        order.push(bundleId);
+        // Evict oldest beyond cap
+        while (order.length > LS_MAX) {
+          var old = order.shift();
+          lsDel(prefix + old);
+          lsDel(prefix + "s:" + old);
+        }
+        localStorage.setItem(LS_ORDER_KEY, JSON.stringify(order));
+      } catch (e) {}
     }
 
-    // Deduplicate: one compile in flight at a time.
-    // If rehash() is called during a compile, queue one rescan.
-    if (loading) {
-      needsRescan = true;
-      return Promise.resolve();
+    function integrityOf(bundleId) {
+      var value = bundleId && lsGet(prefix + bundleId);
+      return value && value !== "1" ? value : null;
     }
 
-    loading = true;
-    return doLoad(sorted).then(
-      function () {
-        loading = false;
-        if (needsRescan) {
-          needsRescan = false;
-          return load(scan());
+    function lastBundle() {
+      try {
+        var order = JSON.parse(localStorage.getItem(LS_ORDER_KEY) || "[]");
+        return order[order.length - 1] || null;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    // ── Superset reuse ──
+    //
+    // With data-superset, each bundle's class list is kept next to its
+    // registry entry. A page whose classes are all in a known bundle for
+    // the same version and inputs can use that one instead of compiling,
+    // as long as it doesn't carry more than SUPERSET_MAX unused classes.
+
+    function rememberClasses(bundleId, ver, salt, sorted) {
+      if (!(SUPERSET_MAX >= 0)) return;
+      lsSet(
+        prefix + "s:" + bundleId,
+        JSON.stringify({ v: ver, salt: salt, classes: sorted }),
+      );
+    }
+
+    // The bundle's classes if it can stand in for `sorted`, else null
+    function supersetOf(bundleId, ver, salt, sorted) {
+      if (!bundleId || !(SUPERSET_MAX >= 0)) return null;
+      var d;
+      try {
+        d = JSON.parse(lsGet(prefix + "s:" + bundleId));
+      } catch (e) {
+        return null;
+      }
+      if (!d || d.v !== ver || d.salt !== salt || !Array.isArray(d.classes))
+        return null;
+      if (d.classes.length > sorted.length * (1 + SUPERSET_MAX)) return null;
+      return containsAll(d.classes, sorted) ? d.classes : null;
+    }
+
+    // Smallest qualifying bundle, as { id, classes }
+    function findSuperset(ver, salt, sorted) {
+      var order;
+      try {
+        order = JSON.parse(localStorage.getItem(LS_ORDER_KEY) || "[]");
+      } catch (e) {
+        return null;
+      }
+      var best = null;
+      for (var i = order.length - 1; i >= 0; i--) {
+        var classes = supersetOf(order[i], ver, salt, sorted);
+        if (classes && (!best || classes.length < best.classes.length))
+          best = { id: order[i], classes: classes };
+      }
+      return best;
+    }
+
+    // Both lists sorted, as scan() returns them
+    function containsAll(haystack, needles) {
+      var j = 0;
+      for (var i = 0; i < needles.length; i++) {
+        while (j < haystack.length && haystack[j] < needles[i]) j++;
+        if (haystack[j] !== needles[i]) return false;
+      }
+      return true;
+    }
+
+    // ── CSS store ──
+    //
+    // Compiled CSS goes straight into Cache Storage, keyed by its /css URL,
+    // so a known bundle is applied from disk instead of hoping the HTTP
+    // cache kept a prefetch. Oldest entries are evicted once the total
+    // passes CSS_STORE_MAX characters; the index lives next to the registry
+    // in localStorage. useweft-sw.js serves these bundles to <link>s too,
+    // but never writes or evicts here.
+
+    var CSS_STORE = "weft-css-v1";
+    var CSS_STORE_INDEX = prefix + "_css";
+    var CSS_STORE_MAX = 4 * 1024 * 1024;
+
+    var hasStore = typeof caches !== "undefined";
+
+    function storeIndex() {
+      try {
+        return JSON.parse(localStorage.getItem(CSS_STORE_INDEX) || "[]");
+      } catch (e) {
+        return [];
+      }
+    }
+
+    // Record [bundleId, size] as most recently used; returns IDs to evict
+    function touchStored(bundleId, size) {
+      var index = storeIndex();
+      for (var i = 0; i < index.length; i++) {
+        if (index[i][0] === bundleId) {
+          if (size == null) size = index[i][1];
+          index.splice(i, 1);
+          break;
         }
-      },
-      function (e) {
-        loading = false;
-        console.warn("[weft]", e);
-      },
-    );
-  }
+      }
+      if (size == null) return [];
+      index.push([bundleId, size]);
 
-  function doLoad(sorted) {
-    return getVersion().then(function (ver) {
-      return computeHash(ver, sorted).then(function (bundleId) {
-        // ── Path 1: Optimistic hit ──
-        // The bundle we guessed before DOMContentLoaded is correct.
-        if (bundleId === optimisticId && optimisticEl) {
-          currentId = bundleId;
-          ready = true;
-          active = optimisticEl;
+      var total = 0;
+      for (var j = 0; j < index.length; j++) total += index[j][1];
+      var evict = [];
+      while (total > CSS_STORE_MAX && index.length > 1) {
+        var old = index.shift();
+        total -= old[1];
+        evict.push(old[0]);
+      }
+      lsSet(CSS_STORE_INDEX, JSON.stringify(index));
+      return evict;
+    }
+
+    // Returns false when Cache Storage isn't available (e.g. insecure origin)
+    function storeCss(bundleId, css) {
+      if (!hasStore) return false;
+      caches
+        .open(CSS_STORE)
+        .then(function (cache) {
+          var res = new Response(css, {
+            headers: { "Content-Type": "text/css" },
+          });
+          return cache.put(API + "/css/" + bundleId, res).then(function () {
+            var evict = touchStored(bundleId, css.length);
+            for (var i = 0; i < evict.length; i++)
+              cache.delete(API + "/css/" + evict[i]);
+          });
+        })
+        .catch(function (e) {
+          console.warn("[weft] could not store css", e);
+        });
+      return true;
+    }
+
+    // Resolves to the stored CSS, or null. A copy that fails vetCss() is
+    // dropped; the <link> path then lets the browser check the bundle.
+    function readCss(bundleId) {
+      if (!hasStore) return Promise.resolve(null);
+      var url = API + "/css/" + bundleId;
+      return caches
+        .match(url, { cacheName: CSS_STORE })
+        .then(function (res) {
+          if (!res || !res.ok) return null;
+          return res.text().then(function (css) {
+            return vetCss(css, integrityOf(bundleId)).then(function (reason) {
+              if (!reason) {
+                touchStored(bundleId);
+                return css;
+              }
+              console.warn("[weft] stored " + bundleId + " refused: " + reason);
+              caches.open(CSS_STORE).then(function (cache) {
+                cache.delete(url);
+              });
+              return null;
+            });
+          });
+        })
+        .catch(function () {
+          return null;
+        });
+    }
+
+    // ── Vetting ──
+    //
+    // CSS we inject as text has to match the digest the worker sent with
+    // it, and every http(s) URL in it may only reach the page's origin,
+    // the API's and any listed in cssOrigins (data-css-origins, where "*"
+    // lifts the check).
+    // Any string counts, not just url()s, since image-set() and friends
+    // take plain strings; a content: string spelling out a foreign URL is
+    // refused along with the rest. <link>s are left to their integrity
+    // attribute.
+
+    function originOf(url, base) {
+      try {
+        return new URL(url, base).origin;
+      } catch (e) {
+        return "null";
+      }
+    }
+
+    // The origin a reference would be fetched from, or null if it never
+    // leaves the page (data:, fragments, anything not http(s))
+    function fetchOrigin(url, base) {
+      try {
+        var u = new URL(url, base);
+        return /^https?:$/.test(u.protocol) ? u.origin : null;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    // First reference outside the allowlist, or null
+    function foreignUrl(css) {
+      if (anyOrigin) return null;
+      var base = (rootNode.ownerDocument || rootNode).baseURI;
+      var allowed = [originOf(API), originOf(base)].concat(
+        cssOrigins.map(function (o) {
+          return originOf(o);
+        }),
+      );
+      var urls = cssUrls(css);
+      for (var i = 0; i < urls.length; i++) {
+        var origin = fetchOrigin(urls[i], base);
+        if (origin && allowed.indexOf(origin) === -1) return urls[i];
+      }
+      return null;
+    }
+
+    // Resolves with the reason to refuse `css`, or null if it may go in
+    function vetCss(css, integrity) {
+      var url = foreignUrl(css);
+      if (url) return Promise.resolve("references " + url);
+      if (!integrity) return Promise.resolve(null);
+      return checkIntegrity(css, integrity).then(function (ok) {
+        return ok ? null : "integrity mismatch";
+      });
+    }
+
+    // A /compile response, once its CSS (if any) has passed; rejects with
+    // a WeftError otherwise
+    function vetResponse(d) {
+      if (!d || !d.css) return Promise.resolve(d);
+      return vetCss(d.css, d.integrity).then(function (reason) {
+        if (!reason) return d;
+        throw new WeftError(
+          "integrity",
+          (d.bundleId || "delta") + " refused: " + reason,
+        );
+      });
+    }
+
+    // ── Version ──
+    //
+    // The /v token is remembered in localStorage, so a load can hash
+    // straight away instead of waiting on the worker. A token younger than
+    // VERSION_TTL is used as-is and revalidated in the background; if it
+    // turns out to have changed, every context recompiles and swaps in the
+    // new bundle. Older tokens (or none) mean waiting for /v, and when /v
+    // is unreachable any remembered token still beats "unknown". That one
+    // is only a stopgap: the next load, or coming back online, asks again.
+
+    var VERSION_KEY = prefix + "_v";
+
+    var versionToken = null;
+    var serverPlugins = null; // advertised by /v; null if the worker is silent
+    var versionFetch = null;
+
+    function storedVersion() {
+      try {
+        var d = JSON.parse(localStorage.getItem(VERSION_KEY));
+        return d && typeof d.v === "string" ? d : null;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    function fetchVersion() {
+      if (versionFetch) return versionFetch;
+      versionFetch = fetch(API + "/v")
+        .then(function (r) {
+          if (!r.ok) throw new Error(r.status);
+          return r.json();
+        })
+        .then(function (d) {
+          var plugins = Array.isArray(d.plugins) ? d.plugins : null;
+          if (plugins) serverPlugins = plugins;
+          lsSet(
+            VERSION_KEY,
+            JSON.stringify({ v: d.v, plugins: plugins, t: Date.now() }),
+          );
+          setVersion(d.v);
+          return d.v;
+        })
+        .catch(function (e) {
+          console.warn("[weft] version fetch failed", e);
+          broadcast("error", { stage: "version", error: e });
+          if (!versionToken || versionToken === "unknown") {
+            var stored = storedVersion();
+            useVersion(stored || { v: "unknown" });
+          }
+          return versionToken;
+        })
+        .then(function (v) {
+          versionFetch = null;
+          return v;
+        });
+      return versionFetch;
+    }
+
+    function useVersion(d) {
+      versionToken = d.v;
+      if (Array.isArray(d.plugins)) serverPlugins = d.plugins;
+    }
+
+    function setVersion(v) {
+      var prev = versionToken;
+      versionToken = v;
+      if (prev && prev !== v) {
+        broadcast("version-change", { from: prev, to: v });
+        for (var i = 0; i < own.length; i++) own[i].refresh();
+      }
+    }
+
+    function getVersion() {
+      if (versionToken && versionToken !== "unknown")
+        return Promise.resolve(versionToken);
+
+      var stored = storedVersion();
+      if (stored && Date.now() - stored.t < VERSION_TTL) {
+        useVersion(stored);
+        fetchVersion();
+        return Promise.resolve(versionToken);
+      }
+      return fetchVersion();
+    }
+
+    // ── Compile ──
+
+    // A bundle the worker already has, by ID alone: most class lists on a
+    // shared worker were compiled for someone before, and asking costs no
+    // upload and tells the worker nothing about the page. Resolves to
+    // { css, integrity }, or null on a miss or any failure (the compile
+    // then goes ahead). The digest comes from the worker's Weft-Integrity
+    // header; the CSS is vetted like a /compile response's, so a worker
+    // that sends none is trusted as far as the compile path trusts it.
+    // With `head` (no CSS wanted, as under a strict CSP) css is null and
+    // the bundle only goes in as a <link>.
+    function fetchBundle(bundleId, head) {
+      if (!lookupFirst) return Promise.resolve(null);
+      return fetch(API + "/css/" + bundleId, { method: head ? "HEAD" : "GET" })
+        .then(function (r) {
+          if (!r.ok) return null;
+          var integrity = r.headers.get("Weft-Integrity");
+          if (head) return { css: null, integrity: integrity };
+          return r.text().then(function (css) {
+            return { css: css, integrity: integrity };
+          });
+        })
+        .then(
+          function (hit) {
+            if (!hit || hit.css === null) return hit;
+            return vetCss(hit.css, hit.integrity).then(function (reason) {
+              if (!reason) return hit;
+              throw new WeftError(
+                "integrity",
+                bundleId + " refused: " + reason,
+              );
+            });
+          },
+          function () {
+            return null;
+          },
+        );
+    }
+
+    function postCompile(body, label) {
+      return withRetry(
+        function () {
+          return fetch(API + "/compile", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(body),
+          });
+        },
+        label,
+        0,
+      )
+        .then(function (r) {
+          return r.json();
+        })
+        .then(vetResponse);
+    }
+
+    // Plugins the worker supports (see parsePlugins)
+    var warnedPlugins = Object.create(null);
+
+    function activePlugins() {
+      if (!serverPlugins) return plugins;
+      return plugins.filter(function (name) {
+        if (serverPlugins.indexOf(name) !== -1) return true;
+        if (!warnedPlugins[name]) {
+          warnedPlugins[name] = 1;
+          console.warn(
+            "[weft] unsupported plugin: " + name,
+            "(available: " + serverPlugins.join(", ") + ")",
+          );
+        }
+        return false;
+      });
+    }
+
+    // data-safelist plus any safelist blocks under `root`
+    function addSafelist(root, set) {
+      var i;
+      for (i = 0; i < safelist.length; i++) set[safelist[i]] = 1;
+      var blocks = root.querySelectorAll(SAFELIST_SELECTOR);
+      for (i = 0; i < blocks.length; i++) {
+        var extra = parseSafelist(blocks[i].textContent);
+        for (var j = 0; j < extra.length; j++) set[extra[j]] = 1;
+      }
+    }
+
+    // ── Contexts ──
+
+    // This instance's contexts; events and version changes stay among them
+    var own = [];
+
+    function broadcast(name, detail) {
+      for (var i = 0; i < own.length; i++) own[i].emit(name, detail);
+    }
+
+    function createContext(scope, observeByDefault) {
+      var doc = scope.ownerDocument || scope;
+      var win = doc.defaultView;
+      // Stylesheets go in <head>, or straight into a shadow root we were given
+      var sheetParent = scope.nodeType === 11 ? scope : doc.head;
+      var rec = {
+        doc: doc,
+        scope: scope,
+        watch: null,
+        emit: emit,
+        resume: null,
+        refresh: null,
+        route: null,
+      };
+      var detached = false;
+      contexts.push(rec);
+      own.push(rec);
+
+      // ── Events ──
+      //
+      // Each step of a load is announced twice: to handlers registered with
+      // on(), and as a weft:<name> CustomEvent on this context's document.
+      //
+      //   scan            { classes, roots }
+      //   cache-hit       { bundleId, path: "optimistic"|"current"|"registry"|
+      //                     "superset"|"route"|"lookup" }
+      //   compile-start   { bundleId, classes, delta }
+      //   compiled        { bundleId, ms, delta }
+      //   applied         { bundleId, via: "optimistic"|"link"|"style"|"store"|
+      //                     "delta"|"fallback"|"route"|"lookup" }
+      //   error           { stage, error, bundleId? }
+      //   version-change  { from, to }
+
+      var listeners = Object.create(null);
+
+      function emit(name, detail) {
+        var fns = listeners[name];
+        for (var i = 0; fns && i < fns.length; i++) {
+          try {
+            fns[i](detail);
+          } catch (e) {
+            console.warn("[weft] " + name + " handler failed", e);
+          }
+        }
+        if (typeof win.CustomEvent === "function")
+          scope.dispatchEvent(
+            new win.CustomEvent("weft:" + name, { detail: detail }),
+          );
+      }
+
+      function eventName(name) {
+        return String(name).replace(/^weft:/, "");
+      }
+
+      function applied(bundleId, via) {
+        emit("applied", { bundleId: bundleId, via: via });
+      }
+
+      // load/error callback for an injected <link>
+      function linkDone(bundleId, via) {
+        return function (e) {
+          if (e && e.type === "error") {
+            var err = new Error("css " + bundleId);
+            emit("error", { stage: "css", error: err, bundleId: bundleId });
+          } else applied(bundleId, via);
+        };
+      }
+
+      // ── Page key ──
+
+      function keyOf(loc) {
+        return prefix + "p:" + loc.pathname + loc.search;
+      }
+
+      var pageKey = keyOf(doc.location);
+      var loadKey = pageKey; // page key of the scan being loaded
+
+      // ── Routing ──
+      //
+      // In a SPA (or with Turbo / hx-push-url) the URL changes without a
+      // page load. Each change gets its own page key: the bundle that route
+      // last settled on goes up straight away, and we rescan once the new
+      // view has rendered. Same-document navigations are seen through the
+      // Navigation API where there is one, otherwise through popstate plus
+      // the history hook below.
+
+      var routeTimer = null;
+
+      function route() {
+        var key = keyOf(doc.location);
+        if (detached || key === pageKey) return;
+        pageKey = key;
+
+        var id = ssGet(key);
+        if (id && id !== currentId && !loading) {
+          currentId = id;
+          baseSalt = null; // unknown inputs — never delta on top of this
+          emit("cache-hit", { bundleId: id, path: "route" });
+          injectLink(id, linkDone(id, "route"));
+        }
+
+        // Routers render right after pushState or within the next frame
+        clearTimeout(routeTimer);
+        var rescan = function () {
+          routeTimer = setTimeout(function () {
+            load(scan());
+          }, 0);
+        };
+        if (win.requestAnimationFrame) win.requestAnimationFrame(rescan);
+        else rescan();
+      }
+
+      rec.route = route;
+
+      var navApi = win.navigation && win.navigation.addEventListener;
+      if (navApi) win.navigation.addEventListener("navigatesuccess", route);
+      else {
+        win.addEventListener("popstate", route);
+        hookHistory(win);
+      }
+
+      // ── Optimistic link ──
+      //
+      // Injected synchronously, BEFORE DOMContentLoaded.
+      // On a warm browser cache, CSS loads before the DOM finishes parsing.
+      // This is the zero-FOUC path for repeat visits in the same session.
+      //
+      // A page prerendered by `weft prerender` (or the server helpers)
+      // already carries <link data-weft-bundle="b_…"> in its head; that one
+      // is adopted in place of ours, so even a first visit paints styled.
+
+      var optimisticKey = pageKey;
+      var optimisticEl =
+        scope === doc ? doc.querySelector("link[data-weft-bundle]") : null;
+      var optimisticId = optimisticEl
+        ? optimisticEl.getAttribute("data-weft-bundle")
+        : ssGet(optimisticKey);
+      // Scripts wait for stylesheets above them, so it has usually loaded.
+      // One with no sheet has failed (or, under an async script, is still
+      // loading) and may never fire an event we'd see, so it's a miss: the
+      // compile paths take over and the stale hint goes.
+      var optimisticLoaded = !!(optimisticEl && optimisticEl.sheet);
+      if (optimisticEl && !optimisticLoaded) {
+        optimisticEl.parentNode.removeChild(optimisticEl);
+        optimisticEl = null;
+        optimisticId = null;
+        ssDel(optimisticKey);
+      }
+
+      if (optimisticId && !optimisticEl) {
+        optimisticEl = bundleLink("stylesheet", optimisticId);
+        (sheetParent || doc.documentElement).appendChild(optimisticEl);
+      }
+
+      if (optimisticEl) {
+        optimisticEl.onload = function () {
+          optimisticLoaded = true;
+        };
+        optimisticEl.onerror = function () {
+          // Bundle expired or version changed — remove from DOM and clear stale hint
+          if (optimisticEl.parentNode)
+            optimisticEl.parentNode.removeChild(optimisticEl);
+          optimisticEl = null;
+          optimisticLoaded = false;
+          ssDel(optimisticKey);
+        };
+      }
+
+      // ── Content Security Policy ──
+      //
+      // A policy without 'unsafe-inline' only lets our <style>s through
+      // with its nonce. In strict mode (or once the browser has blocked one
+      // of them) no inline CSS goes in at all: compiled bundles arrive as
+      // <link>s from the API, which style-src must allow, and deltas are
+      // off. Blocks are reported with a hint at the fix, and a blocked
+      // inline bundle is swapped for its <link> straight away.
+
+      var inlineOk = !strictCsp;
+
+      function styleEl(css) {
+        var el = doc.createElement("style");
+        if (nonce) el.setAttribute("nonce", nonce);
+        el.textContent = css;
+        return el;
+      }
+
+      function onViolation(e) {
+        if (!/^style-src/.test(e.violatedDirective || e.effectiveDirective))
+          return;
+        var t = e.target;
+        var inline = t === active || t === cloakEl || layers.indexOf(t) !== -1;
+        var linked = String(e.blockedURI).indexOf(API) === 0;
+        if (!inline && !linked) return;
+
+        var err = new Error(
+          "Content-Security-Policy " +
+            (e.effectiveDirective || e.violatedDirective) +
+            " blocked " +
+            (inline ? "an inline <style>" : e.blockedURI) +
+            (inline
+              ? '; give the script a nonce (or data-nonce), or use data-csp="strict"'
+              : "; allow " + originOf(API) + " in style-src"),
+        );
+        console.warn("[weft] " + err.message);
+        emit("error", { stage: "csp", error: err, bundleId: currentId });
+
+        if (!inline || !inlineOk) return;
+        inlineOk = false;
+        if (t === cloakEl) uncloak();
+        else if (currentId) injectLink(currentId, linkDone(currentId, "link"));
+      }
+
+      doc.addEventListener("securitypolicyviolation", onViolation);
+
+      // ── FOUC Cloak ──
+      //
+      // Opt-in via data-cloak. Lifted the moment CSS is applied (or fails —
+      // unstyled beats invisible), with CLOAK_TIMEOUT as a safety net. Not
+      // used at all when an optimistic link is already on its way, since a
+      // cache hit paints styled anyway, nor in strict CSP mode. A registry
+      // or CSS store hit (Path 3) can't be told apart this early, before
+      // the page's classes are known, so those pages are still cloaked,
+      // until just after DOMContentLoaded when the hit applies.
+
+      var CLOAK_CSS = {
+        page: "body{visibility:hidden!important}",
+        regions: "[data-weft-cloak]{visibility:hidden!important}",
+        fade: "body{opacity:0!important}",
+      };
+      var FADE_CSS = "body{opacity:1;transition:opacity .2s ease-out}";
+      var FADE_MS = 250;
+
+      var cloakEl = null;
+      var cloakTimer = null;
+
+      if (cloakMode && scope === doc && !optimisticEl && inlineOk) {
+        if (CLOAK_CSS[cloakMode]) {
+          cloakEl = styleEl(CLOAK_CSS[cloakMode]);
+          (doc.head || doc.documentElement).appendChild(cloakEl);
+          cloakTimer = setTimeout(uncloak, CLOAK_TIMEOUT);
+        } else console.warn("[weft] unknown cloak mode: " + cloakMode);
+      }
+
+      function uncloak() {
+        if (!cloakEl) return;
+        var el = cloakEl;
+        cloakEl = null;
+        clearTimeout(cloakTimer);
+
+        if (cloakMode !== "fade") return removeAll([el]);
+        // Swap in the visible state so the transition has something to run on
+        el.textContent = FADE_CSS;
+        setTimeout(function () {
+          removeAll([el]);
+        }, FADE_MS);
+      }
+
+      // ── CSS Injection ──
+
+      var active = null;
+      var layers = []; // delta stylesheets stacked on top of `active`
+      var prefetched = [];
+      var retiring = []; // replaced sheets kept up while `active` loads
+
+      // A <link> to a bundle, pinned to its digest when we know it. SRI
+      // needs a CORS fetch, which the worker allows.
+      function bundleLink(rel, bundleId) {
+        var el = doc.createElement("link");
+        el.rel = rel;
+        el.href = API + "/css/" + bundleId;
+        var integrity = integrityOf(bundleId);
+        if (integrity) {
+          el.setAttribute("integrity", integrity);
+          el.crossOrigin = "anonymous";
+        }
+        return el;
+      }
+
+      function injectLink(bundleId, cb) {
+        var el = bundleLink("stylesheet", bundleId);
+        el.onload = el.onerror = function (e) {
+          activeDone(el, e);
+          if (cb) cb(e);
+        };
+        swapActive(el);
+      }
+
+      function injectStyle(css, cb) {
+        var el = styleEl(css);
+        swapActive(el);
+        if (cb) cb();
+      }
+
+      function swapActive(el) {
+        // A full bundle supersedes any deltas layered on the old one. The
+        // old sheets stay up until a <link> replacement has loaded, so a
+        // swap never shows a blank frame.
+        retiring = retiring.concat(active || [], layers);
+        layers = [];
+        clearTimeout(consolidateTimer);
+
+        active = el;
+        activeLoaded = el.tagName === "STYLE";
+        sheetParent.appendChild(el);
+        if (activeLoaded) retire();
+        // Clean up optimistic element once real CSS is in place
+        if (optimisticEl && optimisticEl !== el && optimisticEl.parentNode) {
+          optimisticEl.parentNode.removeChild(optimisticEl);
           optimisticEl = null;
-          ssSet(pageKey, bundleId);
-          trackBundle(bundleId);
+        }
+        styleShadowRoots();
+      }
+
+      function retire() {
+        removeAll(retiring);
+        retiring = [];
+      }
+
+      function addLayer(css) {
+        var el = styleEl(css);
+        sheetParent.appendChild(el);
+        layers.push(el);
+        styleShadowRoots();
+      }
+
+      function dropLayers() {
+        clearTimeout(consolidateTimer);
+        removeAll(layers);
+        layers = [];
+      }
+
+      // Same crossorigin mode as the stylesheet, or the cache entry won't match
+      function prefetch(bundleId) {
+        var pf = bundleLink("prefetch", bundleId);
+        sheetParent.appendChild(pf);
+        prefetched.push(pf);
+      }
+
+      // ── Shadow roots ──
+      //
+      // Document styles don't cross into shadow trees, so every open root we
+      // find adopts constructable copies of our stylesheets (`active` plus
+      // any delta layers), shared by all roots. Each bundle is fetched at
+      // most once, however many roots there are. Browsers without
+      // adoptedStyleSheets get clones of our elements in each root instead
+      // (same URL → served from memory cache).
+
+      var canAdopt =
+        typeof win.CSSStyleSheet !== "undefined" &&
+        "replace" in win.CSSStyleSheet.prototype &&
+        "adoptedStyleSheets" in win.Document.prototype;
+
+      var shadowRoots = [];
+      var mirrors = []; // [{ src, sheet }] in the same order as ownSheets()
+      var shadowClones = typeof WeakMap !== "undefined" ? new WeakMap() : null;
+
+      function ownSheets() {
+        return active ? [active].concat(layers) : [];
+      }
+
+      function mirrorFor(src) {
+        for (var i = 0; i < mirrors.length; i++) {
+          if (mirrors[i].src === src) return mirrors[i];
+        }
+        // Sheets can only be adopted by roots in the realm that built them
+        var m = { src: src, sheet: new win.CSSStyleSheet() };
+
+        if (src.tagName === "STYLE") {
+          m.sheet.replaceSync(src.textContent);
+          return m;
+        }
+        var integrity = src.getAttribute("integrity");
+        function copy() {
+          src.removeEventListener("load", copy);
+          fetch(src.href, integrity ? { integrity: integrity } : {})
+            .then(function (r) {
+              if (!r.ok) throw new Error("css " + r.status);
+              return r.text();
+            })
+            .then(function (css) {
+              return m.sheet.replace(css);
+            })
+            .catch(function (e) {
+              console.warn("[weft] shadow stylesheet failed", e);
+              emit("error", { stage: "shadow", error: e });
+            });
+        }
+        // Once the link itself has loaded, so this comes out of the HTTP
+        // cache instead of downloading the bundle a second time
+        if (src.sheet) copy();
+        else src.addEventListener("load", copy);
+        return m;
+      }
+
+      function sheetsOf(list) {
+        var out = [];
+        for (var i = 0; i < list.length; i++) out.push(list[i].sheet);
+        return out;
+      }
+
+      function styleShadowRoots() {
+        if (!shadowRoots.length) return;
+        var srcs = ownSheets();
+
+        if (canAdopt) {
+          var stale = sheetsOf(mirrors);
+          var next = [];
+          for (var i = 0; i < srcs.length; i++) next.push(mirrorFor(srcs[i]));
+          mirrors = next;
+          var ours = sheetsOf(next);
+
+          for (var j = 0; j < shadowRoots.length; j++) {
+            var root = shadowRoots[j];
+            var cur = Array.prototype.slice.call(root.adoptedStyleSheets);
+            var others = cur.filter(function (sheet) {
+              return stale.indexOf(sheet) === -1 && ours.indexOf(sheet) === -1;
+            });
+            // Go first so the component's own styles keep the last word
+            var want = ours.concat(others);
+            if (!sameList(want, cur)) root.adoptedStyleSheets = want;
+          }
           return;
         }
 
-        // ── Path 2: Already current ──
-        if (bundleId === currentId) {
-          ready = true;
+        if (!shadowClones) return;
+        for (var k = 0; k < shadowRoots.length; k++) {
+          var r = shadowRoots[k];
+          var prev = shadowClones.get(r);
+          if (prev && sameList(prev.srcs, srcs)) continue;
+          removeAll(prev ? prev.els : []);
+          var els = [];
+          var first = r.firstChild;
+          for (var n = 0; n < srcs.length; n++) {
+            els.push(srcs[n].cloneNode(true));
+            r.insertBefore(els[n], first);
+          }
+          shadowClones.set(r, { srcs: srcs, els: els });
+        }
+      }
+
+      function unstyleShadowRoots() {
+        var ours = sheetsOf(mirrors);
+        for (var i = 0; i < shadowRoots.length; i++) {
+          var root = shadowRoots[i];
+          if (canAdopt) {
+            root.adoptedStyleSheets = Array.prototype.filter.call(
+              root.adoptedStyleSheets,
+              function (sheet) {
+                return ours.indexOf(sheet) === -1;
+              },
+            );
+          } else if (shadowClones) {
+            var prev = shadowClones.get(root);
+            removeAll(prev ? prev.els : []);
+            shadowClones.delete(root);
+          }
+        }
+        mirrors = [];
+      }
+
+      function sameList(a, b) {
+        if (a.length !== b.length) return false;
+        for (var i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+        return true;
+      }
+
+      function removeAll(els) {
+        for (var i = 0; i < els.length; i++) {
+          if (els[i] && els[i].parentNode)
+            els[i].parentNode.removeChild(els[i]);
+        }
+      }
+
+      // ── Scan ──
+      //
+      // Walks the root (the document unless createWeft() was given an
+      // element or shadow root) and every open shadow root reachable from
+      // it. Closed roots are private to their component and stay out of
+      // reach.
+
+      function scan() {
+        var set = Object.create(null);
+        var roots = [];
+        if (scope.nodeType === 1) visit(scope, set, roots);
+        collect(scope, set, roots);
+        addSafelist(scope, set);
+
+        for (var i = 0; i < roots.length; i++) {
+          if (rec.watch && shadowRoots.indexOf(roots[i]) === -1)
+            rec.watch(roots[i]);
+        }
+        shadowRoots = roots;
+        styleShadowRoots();
+
+        var sorted = Object.keys(set).sort();
+        emit("scan", { classes: sorted, roots: roots.length });
+        return sorted;
+      }
+
+      function collect(root, set, roots) {
+        var els = root.querySelectorAll("*");
+        for (var i = 0; i < els.length; i++) visit(els[i], set, roots);
+      }
+
+      function visit(el, set, roots) {
+        var cl = el.classList;
+        for (var j = 0; j < cl.length; j++) set[cl[j]] = 1;
+        for (var k = 0; k < bindings.length; k++) {
+          var expr = el.getAttribute(bindings[k]);
+          if (expr) extractTokens(expr, set);
+        }
+        if (el.shadowRoot) {
+          roots.push(el.shadowRoot);
+          collect(el.shadowRoot, set, roots);
+        }
+        // Inert until cloned (x-if, x-for, hx-swap-oob fragments), but
+        // their classes belong in this bundle
+        if (scanTemplates && el.content && el.tagName === "TEMPLATE")
+          collect(el.content, set, roots);
+      }
+
+      // ── Compile input ──
+      //
+      // Everything the worker needs besides the class list:
+      //
+      //   <style type="text/tailwindcss">  @theme / @custom-variant blocks
+      //   <style type="text/weft">         author CSS: .btn { @apply … }
+      //   the plugins option               first-party plugins
+      //
+      // Style blocks are re-read from the root on each load; browsers
+      // ignore ones with a non-CSS type, so they never apply on their own.
+      // Each part present is hashed into the bundle ID.
+
+      var THEME_SELECTOR = 'style[type="text/tailwindcss"]';
+      var CSS_SELECTOR = 'style[type="text/weft"]';
+
+      function readBlocks(selector) {
+        var blocks = scope.querySelectorAll(selector);
+        var out = [];
+        for (var i = 0; i < blocks.length; i++) {
+          var text = blocks[i].textContent.trim();
+          if (text) out.push(text);
+        }
+        return out.join("\n");
+      }
+
+      function compileInput(ver, sorted) {
+        var body = { classes: sorted };
+        var parts = [];
+
+        var theme = readBlocks(THEME_SELECTOR);
+        if (theme) {
+          body.theme = theme;
+          parts.push("theme");
+        }
+
+        // Compiled alongside the utilities so @apply, theme() and variants
+        // resolve, and shipped inside the same cached bundle
+        var css = readBlocks(CSS_SELECTOR);
+        if (css) {
+          body.css = css;
+          parts.push("css");
+        }
+
+        var names = activePlugins();
+        if (names.length) {
+          body.plugins = names;
+          parts.push("plugins");
+        }
+
+        var hashes = parts.map(function (name) {
+          var value = body[name];
+          return sha16(typeof value === "string" ? value : value.join(","));
+        });
+        return Promise.all(hashes).then(function (hs) {
+          var salt = "";
+          for (var i = 0; i < parts.length; i++)
+            salt += "\n" + parts[i] + ":" + hs[i];
+          return computeHash(ver, sorted, salt).then(function (id) {
+            return { id: id, body: body, salt: salt };
+          });
+        });
+      }
+
+      // ── Applied ──
+      //
+      // `ready` only means a bundle was chosen; its <link> may still be in
+      // flight. `applied` waits for the active stylesheet's load event (or
+      // the inline CSS going in) at the end of the latest load, and is what
+      // ready() resolves on. Every load re-arms it, except background
+      // consolidation, which never leaves the page unstyled.
+
+      var activeLoaded = false;
+      var applyState = "pending"; // "pending" | "applied" | "failed"
+      var applyError = null;
+      var waiters = [];
+
+      function arm() {
+        applyState = "pending";
+        applyError = null;
+      }
+
+      function settle(err) {
+        if (applyState !== "pending") return;
+        applyState = err ? "failed" : "applied";
+        applyError = err || null;
+        uncloak();
+        var list = waiters;
+        waiters = [];
+        for (var i = 0; i < list.length; i++) {
+          if (err) list[i].reject(err);
+          else list[i].resolve(handle.status());
+        }
+      }
+
+      function checkApplied() {
+        if (!active || activeLoaded) settle();
+      }
+
+      // load/error of the active <link>, whichever path injected it
+      function activeDone(el, e) {
+        if (el !== active) return;
+        if (e && e.type === "error") {
+          settle(new WeftError("css", "stylesheet failed: " + el.href));
           return;
         }
+        activeLoaded = true;
+        retire();
+        if (!loading) checkApplied();
+      }
+
+      // ── Last known good ──
+      //
+      // A failed load keeps whatever is already applied. With nothing
+      // applied yet, we re-apply this page's bundle from the session hint,
+      // or else the most recently used bundle in the registry: slightly
+      // stale styling beats none. The next successful load replaces it.
+
+      function fallback() {
+        if (active || detached) return;
+        var id = ssGet(pageKey) || lastBundle();
+        if (!id) return;
+        currentId = id;
+        baseSalt = null; // unknown inputs — never delta on top of this
+        injectLink(id, linkDone(id, "fallback"));
+      }
+
+      rec.resume = function () {
+        if (applyState === "failed") load(scan());
+        else if (versionToken === "unknown") getVersion();
+      };
+
+      // New /v token — our bundle (and any deltas) belong to the old one, so
+      // rebuild in full; the old sheet stays up until the new one is in
+      rec.refresh = function () {
+        if (currentId || loading) consolidate();
+      };
 
-        var cssUrl = API + "/css/" + bundleId;
+      // ── Core ──
 
-        // ── Path 3: Known bundle (localStorage) → serve from browser HTTP cache ──
-        if (lsGet("weft:" + bundleId)) {
-          currentId = bundleId;
+      var currentId = null;
+      var ready = false;
+      var loading = false;
+      var needsRescan = false;
+
+      function load(sorted) {
+        if (detached) return Promise.resolve();
+        if (!consolidating) arm();
+
+        if (!sorted.length) {
           ready = true;
-          injectLink(cssUrl);
-          ssSet(pageKey, bundleId);
-          return;
+          if (!loading) checkApplied();
+          return Promise.resolve();
         }
 
-        // ── Path 4: Cold compile ──
-        return fetch(API + "/compile", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ classes: sorted }),
-        })
-          .then(function (r) {
-            if (!r.ok) throw new Error("compile " + r.status);
-            return r.json();
-          })
-          .then(function (d) {
-            currentId = d.bundleId;
-            ready = true;
-
-            // Inline CSS for instant display
-            if (d.css) injectStyle(d.css);
-            else injectLink(API + "/css/" + d.bundleId);
-
-            // Persist hints
-            trackBundle(d.bundleId);
-            ssSet(pageKey, d.bundleId);
-
-            // Prime browser HTTP cache so next visit is Path 1 or 3
-            if (d.css) {
-              var pf = document.createElement("link");
-              pf.rel = "prefetch";
-              pf.href = API + "/css/" + d.bundleId;
-              document.head.appendChild(pf);
+        // Deduplicate: one compile in flight at a time.
+        // If rehash() is called during a compile, queue one rescan.
+        if (loading) {
+          needsRescan = true;
+          return Promise.resolve();
+        }
+
+        loading = true;
+        return doLoad(sorted).then(
+          function () {
+            loading = false;
+            if (needsRescan && !detached) {
+              needsRescan = false;
+              return load(scan());
+            }
+            checkApplied();
+          },
+          function (e) {
+            loading = false;
+            needsRescan = false;
+            console.warn("[weft]", e);
+            var refused = e instanceof WeftError && e.code === "integrity";
+            emit("error", { stage: refused ? "integrity" : "load", error: e });
+            fallback();
+            settle(
+              refused ? e : new WeftError("compile", String(e && e.message), e),
+            );
+          },
+        );
+      }
+
+      function doLoad(sorted) {
+        var full = consolidating || !deltaMode || !currentId || !inlineOk;
+        loadKey = pageKey;
+        consolidating = false;
+
+        return getVersion().then(function (ver) {
+          return compileInput(ver, sorted).then(function (input) {
+            var bundleId = input.id;
+
+            // Detached while we were hashing — leave the document alone
+            if (detached) return;
+
+            // ── Path 1: Optimistic hit ──
+            // The bundle we guessed before DOMContentLoaded is correct (or,
+            // with data-superset, covers every class on the page).
+            var optClasses =
+              bundleId === optimisticId
+                ? sorted
+                : supersetOf(optimisticId, ver, input.salt, sorted);
+            if (optClasses && optimisticEl) {
+              var optId = optimisticId;
+              currentId = optId;
+              baseSalt = input.salt;
+              cover(optClasses, true);
+              ready = true;
+              var el = (active = optimisticEl);
+              activeLoaded = optimisticLoaded;
+              optimisticEl = null;
+              styleShadowRoots();
+              ssSet(loadKey, optId);
+              trackBundle(optId);
+              rememberClasses(optId, ver, input.salt, optClasses);
+              emit("cache-hit", { bundleId: optId, path: "optimistic" });
+              if (optimisticLoaded) applied(optId, "optimistic");
+              else {
+                var done = linkDone(optId, "optimistic");
+                el.onload = el.onerror = function (e) {
+                  activeDone(el, e);
+                  done(e);
+                };
+              }
+              return;
             }
+
+            // ── Path 2: Already current ──
+            if (bundleId === currentId) {
+              // Back to exactly the base set — any deltas are dead weight
+              if (full) dropLayers();
+              ready = true;
+              ssSet(loadKey, bundleId);
+              emit("cache-hit", { bundleId: bundleId, path: "current" });
+              return;
+            }
+
+            return readCss(bundleId).then(function (css) {
+              if (detached) return;
+
+              // ── Path 3: Known bundle → CSS store, else the browser HTTP cache ──
+              if (css !== null || lsGet(prefix + bundleId)) {
+                rememberClasses(bundleId, ver, input.salt, sorted);
+                useBundle(bundleId, input.salt, sorted, css, "registry");
+                return;
+              }
+
+              // ── Path 3b: Delta on top of the current bundle ──
+              // Only while the theme etc. still match what the base was built with
+              if (!full && input.salt === baseSalt) {
+                // Until consolidation hints the exact bundle, a route new to
+                // this session gets the base, which covers most of it
+                if (!ssGet(loadKey)) ssSet(loadKey, currentId);
+                return loadDelta(input);
+              }
+
+              // ── Path 3c: A known bundle that covers every class ──
+              var sup = findSuperset(ver, input.salt, sorted);
+              if (sup) return reuse(sup, ver, input);
+
+              return lookup(ver, input);
+            });
           });
-      });
-    });
-  }
+        });
+      }
 
-  // ── Public API ──
-
-  var disconnectFn = null;
-
-  var api = {
-    version: "0.3.0",
-
-    /**
-     * Rescan the DOM and recompile if classes changed.
-     * Call after programmatic DOM mutations.
-     *
-     * @returns {Promise<void>}
-     *
-     * @example
-     *   // HTMX
-     *   document.body.addEventListener('htmx:afterSwap', () => useweft.rehash())
-     *
-     * @example
-     *   // Alpine.js
-     *   <div x-init="$nextTick(() => useweft.rehash())">
-     *
-     * @example
-     *   // Livewire
-     *   Livewire.hook('morph.updated', () => useweft.rehash())
-     */
-    rehash: function () {
-      return load(scan());
-    },
-
-    /**
-     * Pre-warm the server cache for classes that will appear soon.
-     * Merges the given classes with what's currently on the page and
-     * compiles the union. If the DOM swap produces exactly that union,
-     * rehash() will be a localStorage fast-path hit.
-     *
-     * @param {string[]} classes
-     * @returns {Promise<void>}
-     *
-     * @example
-     *   // Preload before HTMX swap
-     *   useweft.preload(['bg-amber-100', 'border-amber-300'])
-     *     .then(() => htmx.ajax('GET', '/alerts', '#container'))
-     */
-    preload: function (classes) {
-      if (!Array.isArray(classes) || !classes.length) return Promise.resolve();
-
-      var current = scan();
-      var merged = Object.create(null);
-      for (var i = 0; i < current.length; i++) merged[current[i]] = 1;
-      for (var j = 0; j < classes.length; j++) merged[classes[j]] = 1;
-      var sorted = Object.keys(merged).sort();
-
-      // Skip network if merged bundle is already known locally
-      return getVersion().then(function (ver) {
-        return computeHash(ver, sorted).then(function (bundleId) {
-          if (lsGet("weft:" + bundleId)) return;
+      // Make a bundle we already have the active one, from the CSS store
+      // (or a lookup) when it's there, else via the browser HTTP cache
+      function useBundle(bundleId, salt, classes, css, path, via) {
+        currentId = bundleId;
+        baseSalt = salt;
+        cover(classes, true);
+        ready = true;
+        emit("cache-hit", { bundleId: bundleId, path: path });
+        if (css !== null && inlineOk)
+          injectStyle(css, function () {
+            applied(bundleId, via || "store");
+          });
+        else injectLink(bundleId, linkDone(bundleId, "link"));
+        ssSet(loadKey, bundleId);
+        trackBundle(bundleId);
+      }
 
-          return fetch(API + "/compile", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ classes: sorted }),
-          })
-            .then(function (r) {
-              if (!r.ok) throw new Error("preload " + r.status);
-              return r.json();
-            })
+      // With data-superset-compile, the exact bundle is then built in the
+      // background so the next visit to this page starts on it
+      function reuse(sup, ver, input) {
+        var key = loadKey;
+        return readCss(sup.id).then(function (css) {
+          if (detached) return;
+          useBundle(sup.id, input.salt, sup.classes, css, "superset");
+          if (!supersetCompile) return;
+
+          postCompile(input.body, "superset")
             .then(function (d) {
-              trackBundle(d.bundleId);
+              trackBundle(d.bundleId, d.integrity);
+              rememberClasses(d.bundleId, ver, input.salt, input.body.classes);
+              if (d.css) storeCss(d.bundleId, d.css);
+              ssSet(key, d.bundleId);
+            })
+            .catch(function (e) {
+              console.warn("[weft] background compile failed", e);
+              emit("error", { stage: "superset", error: e });
             });
         });
-      }).catch(function (e) {
-        console.warn("[weft] preload failed", e);
-      });
-    },
-
-    /**
-     * Start a MutationObserver that calls rehash() on DOM changes.
-     * Off by default. Returns a function to disconnect.
-     *
-     * @param {{ debounce?: number }} [opts]
-     * @returns {Function} disconnect
-     *
-     * @example
-     *   const stop = useweft.observe()
-     *   // Later: stop()
-     *
-     * @example
-     *   useweft.observe({ debounce: 500 })
-     */
-    observe: function (opts) {
-      if (typeof MutationObserver === "undefined") return function () {};
-
-      // Disconnect previous if any
-      if (disconnectFn) disconnectFn();
-
-      var ms = (opts && opts.debounce) || DEBOUNCE_MS;
-      var timer = null;
-
-      var mo = new MutationObserver(function (muts) {
-        for (var i = 0; i < muts.length; i++) {
-          var m = muts[i];
-          if (
-            (m.type === "attributes" && m.attributeName === "class") ||
-            (m.type === "childList" && m.addedNodes.length)
-          ) {
-            clearTimeout(timer);
-            timer = setTimeout(function () {
-              load(scan());
-            }, ms);
-            return;
-          }
+      }
+
+      // ── Path 3d: Compiled elsewhere ──
+      // The worker already has this bundle (see fetchBundle), so apply it
+      // without uploading anything.
+      function lookup(ver, input) {
+        var bundleId = input.id;
+        var sorted = input.body.classes;
+        return fetchBundle(bundleId, !inlineOk).then(function (hit) {
+          if (hit === null) return compile(ver, input);
+          trackBundle(bundleId, hit.integrity);
+          rememberClasses(bundleId, ver, input.salt, sorted);
+          var stored = hit.css !== null && storeCss(bundleId, hit.css);
+          if (detached) return;
+          useBundle(bundleId, input.salt, sorted, hit.css, "lookup", "lookup");
+          if (hit.css !== null && !stored && inlineOk) prefetch(bundleId);
+        });
+      }
+
+      // ── Path 4: Cold compile ──
+      function compile(ver, input) {
+        var bundleId = input.id;
+        var sorted = input.body.classes;
+
+        var started = Date.now();
+        emit("compile-start", {
+          bundleId: bundleId,
+          classes: sorted,
+          delta: false,
+        });
+
+        return postCompile(input.body, "compile").then(function (d) {
+          // Persist hints even if the frame went away mid-compile
+          trackBundle(d.bundleId, d.integrity);
+          rememberClasses(d.bundleId, ver, input.salt, sorted);
+          var stored = d.css && storeCss(d.bundleId, d.css);
+          if (detached) return;
+
+          emit("compiled", {
+            bundleId: d.bundleId,
+            ms: Date.now() - started,
+            delta: false,
+          });
+
+          currentId = d.bundleId;
+          baseSalt = input.salt;
+          cover(sorted, true);
+          ready = true;
+
+          // Inline CSS for instant display
+          if (d.css && inlineOk)
+            injectStyle(d.css, function () {
+              applied(d.bundleId, "style");
+            });
+          else injectLink(d.bundleId, linkDone(d.bundleId, "link"));
+
+          ssSet(loadKey, d.bundleId);
+
+          // No Cache Storage — prime the HTTP cache so next visit is Path 1 or 3
+          if (d.css && !stored && inlineOk) prefetch(d.bundleId);
+        });
+      }
+
+      // ── Delta ──
+      //
+      // With data-delta="true", a rescan that adds classes to an applied
+      // bundle asks only for the new rules and stacks them as a layer on
+      // top, instead of a cold compile and full download. The worker gets
+      // `{ classes, base }` and answers `{ css }` without preflight or theme,
+      // which the base already carries. Layers are folded back into one
+      // exact, cacheable bundle after DELTA_MAX_LAYERS deltas or
+      // CONSOLIDATE_MS of quiet; until then, variant order across layers can
+      // differ slightly from a single compile.
+
+      var covered = Object.create(null); // classes styled by active + layers
+      var baseSalt = ""; // compile inputs the active bundle was built with
+      var consolidating = false;
+      var consolidateTimer = null;
+
+      function cover(sorted, reset) {
+        if (reset) covered = Object.create(null);
+        for (var i = 0; i < sorted.length; i++) covered[sorted[i]] = 1;
+      }
+
+      function consolidate() {
+        clearTimeout(consolidateTimer);
+        consolidating = true;
+        load(scan());
+      }
+
+      function scheduleConsolidate() {
+        clearTimeout(consolidateTimer);
+        consolidateTimer = setTimeout(consolidate, CONSOLIDATE_MS);
+      }
+
+      function loadDelta(input) {
+        var sorted = input.body.classes;
+        var added = [];
+        for (var i = 0; i < sorted.length; i++) {
+          if (!covered[sorted[i]]) added.push(sorted[i]);
         }
-      });
 
-      mo.observe(document.documentElement, {
-        attributes: true,
-        attributeFilter: ["class"],
-        childList: true,
-        subtree: true,
-      });
+        // Only removals: unused rules are harmless until we consolidate
+        if (!added.length) {
+          ready = true;
+          scheduleConsolidate();
+          return;
+        }
+
+        var body = {};
+        for (var k in input.body) body[k] = input.body[k];
+        body.classes = added;
+        body.base = currentId;
+
+        var started = Date.now();
+        emit("compile-start", {
+          bundleId: currentId,
+          classes: added,
+          delta: true,
+        });
+
+        return postCompile(body, "delta").then(function (d) {
+          if (detached) return;
+          // Worker without delta support — fall back to a full compile
+          if (!d.css) return consolidate();
+
+          emit("compiled", {
+            bundleId: body.base,
+            ms: Date.now() - started,
+            delta: true,
+          });
+          addLayer(d.css);
+          cover(added);
+          ready = true;
+          applied(body.base, "delta");
+
+          if (layers.length >= DELTA_MAX_LAYERS) consolidate();
+          else scheduleConsolidate();
+        });
+      }
 
-      disconnectFn = function () {
-        clearTimeout(timer);
-        mo.disconnect();
-        disconnectFn = null;
+      // ── Public API ──
+
+      var disconnectFn = null;
+
+      var handle = {
+        /**
+         * Rescan the DOM and recompile if classes changed.
+         * Open shadow roots are included and receive the same stylesheet.
+         * Call after programmatic DOM mutations.
+         *
+         * @returns {Promise<void>}
+         *
+         * @example
+         *   // HTMX
+         *   document.body.addEventListener('htmx:afterSwap', () => useweft.rehash())
+         *
+         * @example
+         *   // Alpine.js
+         *   <div x-init="$nextTick(() => useweft.rehash())">
+         *
+         * @example
+         *   // Livewire
+         *   Livewire.hook('morph.updated', () => useweft.rehash())
+         */
+        rehash: function () {
+          return load(scan());
+        },
+
+        /**
+         * Pre-warm the server cache for classes that will appear soon.
+         * Merges the given classes with what's currently on the page and
+         * compiles the union. If the DOM swap produces exactly that union,
+         * rehash() will be a localStorage fast-path hit.
+         *
+         * @param {string[]} classes
+         * @returns {Promise<void>}
+         *
+         * @example
+         *   // Preload before HTMX swap
+         *   useweft.preload(['bg-amber-100', 'border-amber-300'])
+         *     .then(() => htmx.ajax('GET', '/alerts', '#container'))
+         */
+        preload: function (classes) {
+          if (!Array.isArray(classes) || !classes.length)
+            return Promise.resolve();
+
+          var current = scan();
+          var merged = Object.create(null);
+          for (var i = 0; i < current.length; i++) merged[current[i]] = 1;
+          for (var j = 0; j < classes.length; j++) merged[classes[j]] = 1;
+          var sorted = Object.keys(merged).sort();
+
+          // Skip network if merged bundle is already known locally
+          return getVersion()
+            .then(function (ver) {
+              return compileInput(ver, sorted).then(function (input) {
+                if (lsGet(prefix + input.id)) return;
+
+                return fetchBundle(input.id, !inlineOk).then(function (hit) {
+                  if (hit !== null) {
+                    trackBundle(input.id, hit.integrity);
+                    if (hit.css !== null) storeCss(input.id, hit.css);
+                    return;
+                  }
+                  return postCompile(input.body, "preload").then(function (d) {
+                    trackBundle(d.bundleId, d.integrity);
+                  });
+                });
+              });
+            })
+            .catch(function (e) {
+              console.warn("[weft] preload failed", e);
+              emit("error", { stage: "preload", error: e });
+            });
+        },
+
+        /**
+         * Start a MutationObserver that calls rehash() on DOM changes.
+         * Off by default. Returns a function to disconnect.
+         *
+         * @param {{ debounce?: number }} [opts]
+         * @returns {Function} disconnect
+         *
+         * @example
+         *   const stop = useweft.observe()
+         *   // Later: stop()
+         *
+         * @example
+         *   useweft.observe({ debounce: 500 })
+         */
+        observe: function (opts) {
+          if (detached || typeof win.MutationObserver === "undefined")
+            return function () {};
+
+          // Disconnect previous if any
+          if (disconnectFn) disconnectFn();
+
+          var ms = (opts && opts.debounce) || DEBOUNCE_MS;
+          var timer = null;
+
+          // The frame's own constructor, so observation dies with the frame
+          var mo = new win.MutationObserver(function (muts) {
+            for (var i = 0; i < muts.length; i++) {
+              var m = muts[i];
+              if (
+                m.type === "attributes" ||
+                (m.type === "childList" && m.addedNodes.length)
+              ) {
+                clearTimeout(timer);
+                timer = setTimeout(function () {
+                  load(scan());
+                }, ms);
+                return;
+              }
+            }
+          });
+
+          var moOpts = {
+            attributes: true,
+            attributeFilter: ["class"].concat(bindings),
+            childList: true,
+            subtree: true,
+          };
+
+          mo.observe(scope === doc ? doc.documentElement : scope, moOpts);
+
+          // Subtree observation stops at shadow boundaries — watch each open
+          // root separately, including ones attached after this call.
+          rec.watch = function (root) {
+            mo.observe(root, moOpts);
+          };
+          for (var i = 0; i < shadowRoots.length; i++)
+            rec.watch(shadowRoots[i]);
+          hookAttachShadow(win);
+
+          disconnectFn = function () {
+            clearTimeout(timer);
+            mo.disconnect();
+            rec.watch = null;
+            disconnectFn = null;
+          };
+
+          return disconnectFn;
+        },
+
+        /**
+         * Subscribe to a lifecycle event ("scan", "cache-hit", "compile-start",
+         * "compiled", "applied", "error", "version-change"). The same detail
+         * is dispatched on the document as a weft:<name> CustomEvent.
+         *
+         * @param {string} name
+         * @param {(detail: object) => void} fn
+         * @returns {Function} unsubscribe
+         *
+         * @example
+         *   useweft.on('compile-start', () => spinner.show())
+         *   useweft.on('applied', () => spinner.hide())
+         *
+         * @example
+         *   document.addEventListener('weft:error', (e) => report(e.detail.error))
+         */
+        on: function (name, fn) {
+          name = eventName(name);
+          (listeners[name] || (listeners[name] = [])).push(fn);
+          return function () {
+            handle.off(name, fn);
+          };
+        },
+
+        /**
+         * Remove a handler added with on().
+         *
+         * @param {string} name
+         * @param {Function} fn
+         */
+        off: function (name, fn) {
+          var fns = listeners[eventName(name)];
+          var idx = fns ? fns.indexOf(fn) : -1;
+          if (idx !== -1) fns.splice(idx, 1);
+        },
+
+        /**
+         * Resolves once the CSS for the latest scan is actually applied: the
+         * stylesheet's load event fired, or inline CSS was inserted. Each
+         * rehash re-arms it. Rejects with a WeftError on failure.
+         *
+         * @returns {Promise<object>} status() at the moment CSS applied
+         *
+         * @example
+         *   // Playwright / screenshot tools
+         *   await page.evaluate(() => useweft.ready())
+         *
+         * @example
+         *   useweft.ready().catch((e) => {
+         *     if (e instanceof useweft.WeftError && e.code === 'css') retry()
+         *   })
+         */
+        ready: function () {
+          return new Promise(function (resolve, reject) {
+            if (applyState === "applied") resolve(handle.status());
+            else if (applyState === "failed") reject(applyError);
+            else waiters.push({ resolve: resolve, reject: reject });
+          });
+        },
+
+        /**
+         * Current client state. `ready` means a bundle was chosen; `applied`
+         * means its CSS is in effect.
+         * @returns {{ bundleId: string|null, version: string|null,
+         *   ready: boolean, applied: boolean }}
+         */
+        status: function () {
+          return {
+            bundleId: currentId,
+            version: versionToken,
+            ready: ready,
+            applied: applyState === "applied",
+          };
+        },
+
+        /**
+         * Stop styling this document: disconnect the observer and remove
+         * every stylesheet, prefetch link and adopted sheet we added.
+         * Session hints and the bundle registry are kept for next time.
+         * From then on status() reports nothing applied, and ready()
+         * rejects with code "detached".
+         */
+        detach: function () {
+          if (detached) return;
+          detached = true;
+          doc.removeEventListener("securitypolicyviolation", onViolation);
+          if (disconnectFn) disconnectFn();
+          clearTimeout(routeTimer);
+          if (navApi)
+            win.navigation.removeEventListener("navigatesuccess", route);
+          else win.removeEventListener("popstate", route);
+          contexts.splice(contexts.indexOf(rec), 1);
+          own.splice(own.indexOf(rec), 1);
+
+          unstyleShadowRoots();
+          shadowRoots = [];
+          dropLayers();
+          removeAll(prefetched.concat(active, optimisticEl, retiring));
+          active = optimisticEl = null;
+          prefetched = [];
+          retiring = [];
+          ready = false;
+          // Whatever had been applied is gone with the stylesheets
+          arm();
+          settle(new WeftError("detached", "document was detached"));
+        },
       };
 
-      return disconnectFn;
-    },
+      // ── Init ──
+
+      function init() {
+        load(scan()).then(function () {
+          if (observeByDefault && !detached) handle.observe();
+        });
+      }
+
+      if (doc.readyState === "loading")
+        doc.addEventListener("DOMContentLoaded", init);
+      else init();
 
-    /**
-     * Current client state.
-     * @returns {{ bundleId: string|null, version: string|null, ready: boolean }}
-     */
-    status: function () {
-      return { bundleId: currentId, version: versionToken, ready: ready };
-    },
-  };
+      return handle;
+    }
+
+    // ── Service worker ──
+    //
+    // client/useweft-sw.js (the `sw` option, its URL) keeps every bundle
+    // this browser has seen in Cache Storage, so pages render styled
+    // offline instead of trusting the HTTP cache to still have them. It
+    // must be served from the page's origin; the API base goes along in the
+    // query string. One worker serves one API, so give the option to one
+    // instance per page.
+
+    if (
+      options.sw &&
+      typeof navigator !== "undefined" &&
+      "serviceWorker" in navigator
+    ) {
+      var swUrl = String(options.sw);
+      navigator.serviceWorker
+        .register(
+          swUrl +
+            (swUrl.indexOf("?") === -1 ? "?" : "&") +
+            "api=" +
+            encodeURIComponent(API),
+        )
+        .catch(function (e) {
+          console.warn("[weft] service worker registration failed", e);
+        });
+    }
+
+    // ── Public API ──
 
-  window.useweft = api;
+    var main = createContext(rootNode, autoObserve);
+    var attached = [];
 
-  // ── Init ──
+    var api = {
+      version: "0.3.0",
+      rehash: main.rehash,
+      preload: main.preload,
+      observe: main.observe,
+      on: main.on,
+      off: main.off,
+      ready: main.ready,
+      status: main.status,
+      WeftError: WeftError,
 
-  function init() {
-    load(scan()).then(function () {
-      if (autoObserve) api.observe();
+      /**
+       * Style another same-origin document — an iframe preview, a popup —
+       * with the same API, bundle registry and version token as this page.
+       * Attaching the same document twice returns the existing handle.
+       * The handle detaches itself when the document unloads.
+       *
+       * @param {Document} doc
+       * @param {{ observe?: boolean }} [opts] — defaults to the `observe` option
+       * @returns {object} handle with rehash, preload, observe, on, off,
+       *   ready, status and detach
+       *
+       * @example
+       *   const frame = document.querySelector('#preview')
+       *   frame.addEventListener('load', () => {
+       *     const preview = useweft.attach(frame.contentDocument)
+       *     // Later, before removing the frame: preview.detach()
+       *   })
+       */
+      attach: function (doc, opts) {
+        if (!doc || !doc.defaultView)
+          throw new Error("[weft] attach: no document");
+        if (doc === rootNode) return api;
+
+        for (var i = 0; i < attached.length; i++) {
+          if (attached[i].doc === doc) return attached[i].handle;
+        }
+
+        var observe = opts && "observe" in opts ? !!opts.observe : autoObserve;
+        var handle = createContext(doc, observe);
+        var entry = { doc: doc, handle: handle };
+        attached.push(entry);
+
+        // defaultView is gone once the frame is removed — keep our own ref
+        var view = doc.defaultView;
+        var detach = handle.detach;
+        handle.detach = function () {
+          var idx = attached.indexOf(entry);
+          if (idx !== -1) attached.splice(idx, 1);
+          view.removeEventListener("pagehide", handle.detach);
+          detach();
+        };
+        view.addEventListener("pagehide", handle.detach);
+
+        return handle;
+      },
+
+      /**
+       * Tear this instance down: detach every attached document, then
+       * disconnect the observer and remove the stylesheets, prefetch links
+       * and adopted sheets it added. ready() then rejects with code
+       * "detached", pending calls included, and status() reports nothing
+       * applied. Stored bundles and hints stay for the next instance with
+       * the same storagePrefix.
+       *
+       * The page-wide hooks (the attachShadow and history.pushState /
+       * replaceState patches, the `online` listener) and a registered
+       * service worker stay in place; with no live instance they do
+       * nothing.
+       */
+      destroy: function () {
+        while (attached.length) attached[0].handle.detach();
+        main.detach();
+      },
+    };
+
+    return api;
+  }
+
+  // ── attachShadow hook ──
+  //
+  // Components usually attach their shadow root after the host is already
+  // connected, which no MutationObserver reports. Each realm's prototype is
+  // patched once, and the patch is a no-op unless that document is being
+  // observed; content rendered into the new root then arrives as ordinary
+  // childList mutations.
+
+  var hookedProtos = [];
+
+  function hookAttachShadow(win) {
+    var proto = win.Element.prototype;
+    if (!proto.attachShadow || hookedProtos.indexOf(proto) !== -1) return;
+    hookedProtos.push(proto);
+    var attach = proto.attachShadow;
+    proto.attachShadow = function (init) {
+      var root = attach.apply(this, arguments);
+      if (init && init.mode === "open") {
+        for (var i = 0; i < contexts.length; i++) {
+          var c = contexts[i];
+          if (
+            c.watch &&
+            c.doc === this.ownerDocument &&
+            (c.scope === c.doc || c.scope.contains(this))
+          )
+            c.watch(root);
+        }
+      }
+      return root;
+    };
+  }
+
+  // ── History hook ──
+  //
+  // Without the Navigation API, pushState/replaceState fire no event at
+  // all. Each realm's history is patched once and tells the contexts
+  // living in that window; route() ignores calls that keep the path.
+
+  var hookedHistories = [];
+
+  function hookHistory(win) {
+    var h = win.history;
+    if (!h || hookedHistories.indexOf(h) !== -1) return;
+    hookedHistories.push(h);
+    ["pushState", "replaceState"].forEach(function (name) {
+      var orig = h[name];
+      if (typeof orig !== "function") return;
+      h[name] = function () {
+        var result = orig.apply(this, arguments);
+        for (var i = 0; i < contexts.length; i++) {
+          if (contexts[i].doc.defaultView === win) contexts[i].route();
+        }
+        return result;
+      };
     });
   }
 
-  if (document.readyState === "loading")
-    document.addEventListener("DOMContentLoaded", init);
-  else init();
+  // Connectivity is back — give every failed context another go
+  if (typeof window !== "undefined")
+    window.addEventListener("online", function () {
+      for (var i = 0; i < contexts.length; i++) contexts[i].resume();
+    });
+
+  // ── Script tag ──
+
+  var s = document.currentScript;
+  var jsConfig = window.useweftConfig || {};
+
+  function attr(name) {
+    return s && s.getAttribute("data-" + name);
+  }
+
+  window.useweft = createWeft({
+    api: attr("api"),
+    observe: attr("observe") === "true",
+    delta: attr("delta") === "true",
+    templates: attr("templates") === "true",
+    bindings: attr("bindings"),
+    safelist: attr("safelist"),
+    plugins: jsConfig.plugins || attr("plugins"),
+    cloak: attr("cloak"),
+    cloakTimeout: parseInt(attr("cloak-timeout"), 10),
+    superset: attr("superset"),
+    supersetCompile: attr("superset-compile") === "true",
+    versionTtl: parseInt(attr("version-ttl"), 10),
+    cssOrigins: attr("css-origins"),
+    // Browsers hide the nonce attribute once parsed; the property keeps it
+    nonce: (s && s.nonce) || attr("nonce"),
+    csp: attr("csp"),
+    lookup: attr("lookup") !== "false",
+    sw: attr("sw"),
+  });
 })();
@@ -0,0 +1,144 @@
+/**
+ * useWeft Service Worker
+ *
+ * Optional companion to the client for offline and flaky-network use.
+ * Copy it next to your pages and point the client at it:
+ *
+ *   <script src="…/useweft-0.3.0.js" data-sw="/useweft-sw.js"></script>
+ *
+ * The client registers it with ?api=<data-api>, so only that origin's
+ * traffic is touched:
+ *
+ *   /css/:bundleId  cache-first, kept until evicted (bundles are
+ *                   immutable)
+ *   /v              stale-while-revalidate
+ *
+ * Everything else goes straight to the network.
+ */
+
+(function () {
+  "use strict";
+
+  var API = new URL(self.location).searchParams.get("api") || "";
+  var API_ORIGIN = API ? new URL(API).origin : null;
+
+  // The client's CSS store: written and evicted by the client only, read
+  // here. Bundles this worker fetches itself go in its own cache, which
+  // only it trims.
+  var CLIENT_CACHE = "weft-css-v1";
+  var CSS_CACHE = "weft-css-sw-v1";
+  var VERSION_CACHE = "weft-v-v1";
+  var CSS_MAX = 100;
+
+  self.addEventListener("install", function () {
+    self.skipWaiting();
+  });
+
+  self.addEventListener("activate", function (event) {
+    var keep = [CLIENT_CACHE, CSS_CACHE, VERSION_CACHE];
+    event.waitUntil(
+      caches
+        .keys()
+        .then(function (names) {
+          return Promise.all(
+            names
+              .filter(function (name) {
+                return name.indexOf("weft-") === 0 && keep.indexOf(name) === -1;
+              })
+              .map(function (name) {
+                return caches.delete(name);
+              }),
+          );
+        })
+        .then(function () {
+          return self.clients.claim();
+        }),
+    );
+  });
+
+  self.addEventListener("fetch", function (event) {
+    var req = event.request;
+    if (req.method !== "GET" || !API_ORIGIN) return;
+
+    var url = new URL(req.url);
+    if (url.origin !== API_ORIGIN) return;
+
+    if (/\/css\/b_[0-9a-f]+$/.test(url.pathname))
+      event.respondWith(cssFirst(req, event));
+    else if (/\/v$/.test(url.pathname))
+      event.respondWith(staleWhileRevalidate(req, event));
+  });
+
+  // ── /css/:bundleId ──
+  //
+  // A bundle ID is a hash of its inputs, so a cached copy is never stale.
+  // Plain <link> requests are no-cors, whose opaque responses hide their
+  // status: caching one could keep a passing 404 or 503 for good. So the
+  // bundle is fetched in CORS mode (the worker allows it) and only kept
+  // when it's visibly ok; a CORS failure falls back to the page's own
+  // request, uncached.
+
+  function cssFirst(req, event) {
+    return caches
+      .match(req.url, { cacheName: CLIENT_CACHE })
+      .then(function (hit) {
+        if (hit) return hit;
+        return caches.open(CSS_CACHE).then(function (cache) {
+          return cache.match(req.url).then(function (hit) {
+            if (hit) return hit;
+            return fetch(req.url, { mode: "cors", credentials: "omit" }).then(
+              function (res) {
+                if (res.ok) {
+                  event.waitUntil(
+                    cache.put(req.url, res.clone()).then(function () {
+                      return trim(cache);
+                    }),
+                  );
+                }
+                return res;
+              },
+              function () {
+                return fetch(req);
+              },
+            );
+          });
+        });
+      });
+  }
+
+  // Oldest first — Cache Storage keeps insertion order
+  function trim(cache) {
+    return cache.keys().then(function (keys) {
+      var extra = keys.length - CSS_MAX;
+      for (var i = 0; i < extra; i++) cache.delete(keys[i]);
+    });
+  }
+
+  // ── /v ──
+  //
+  // Answer from cache immediately and refresh in the background; the
+  // client copes with a slightly old token (its bundles still exist).
+  // Offline with nothing cached, the network error reaches the client,
+  // which falls back as usual.
+
+  function staleWhileRevalidate(req, event) {
+    return caches.open(VERSION_CACHE).then(function (cache) {
+      return cache.match(req).then(function (hit) {
+        var refresh = fetch(req).then(function (res) {
+          if (res.ok)
+            return cache.put(req, res.clone()).then(function () {
+              return res;
+            });
+          return res;
+        });
+        if (!hit) return refresh;
+        event.waitUntil(
+          refresh.catch(function () {
+            // Offline — the cached token will do
+          }),
+        );
+        return hit;
+      });
+    });
+  }
+})();
@@ -0,0 +1,326 @@
+/**
+ * useWeft reference backend
+ *
+ * The worker protocol, served from your own machine:
+ *
+ *   GET  /v               { v, plugins }
+ *   POST /compile         { classes, theme?, css?, plugins?, base? }
+ *                         → { bundleId, css, integrity }, or
+ *                           { css, integrity } for a delta
+ *   GET  /css/:bundleId   the stored bundle, cached forever, with its
+ *                         digest in a Weft-Integrity header
+ *
+ * Bundle IDs are the client's computeHash() over the same inputs, so a
+ * page can't tell this apart from the hosted worker. Compiled bundles go
+ * to an on-disk store and are served from there; since an ID covers the
+ * version token and every input, a stored file never goes stale.
+ * `integrity` is the CSS's SRI digest, which the client checks and puts
+ * on its <link>s.
+ *
+ * Needs tailwindcss v4 (plus @tailwindcss/typography and
+ * @tailwindcss/forms for those plugins) where Bun or Node can import it.
+ * Run it with `bun cli/weft.mjs serve`, or mount createBackend()'s
+ * fetch handler in your own server.
+ */
+
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { compile } from "tailwindcss";
+
+import { compileInput } from "./bundle.mjs";
+
+const MAX_BODY = 512 * 1024;
+const MAX_CLASSES = 20000;
+const DIGESTS_MAX = 1000;
+const RE_BUNDLE = /^b_[0-9a-f]{16}$/;
+
+// First-party plugins and the packages behind them. Only those that
+// resolve here are advertised on /v.
+const PLUGINS = {
+  typography: "@tailwindcss/typography",
+  forms: "@tailwindcss/forms",
+};
+
+// ── Tailwind ──
+//
+// Page inputs are untrusted: @import only reaches Tailwind's own
+// stylesheets and @plugin only the packages above, so a theme block can't
+// read files or load code off this machine.
+
+const sheets = new Map(); // path → Promise<string>
+
+function sheetPath(id) {
+  const m =
+    /^tailwindcss(?:\/(index|preflight|theme|utilities)(?:\.css)?)?$/.exec(id);
+  if (!m) return null;
+  return fileURLToPath(
+    import.meta.resolve("tailwindcss/" + (m[1] || "index") + ".css"),
+  );
+}
+
+async function loadStylesheet(id) {
+  const path = sheetPath(id);
+  if (!path) throw new Error(`@import not allowed: ${id}`);
+  if (!sheets.has(path)) sheets.set(path, readFile(path, "utf8"));
+  return { path, base: dirname(path), content: await sheets.get(path) };
+}
+
+async function loadModule(id, base, hint) {
+  const name = Object.keys(PLUGINS).find((p) => PLUGINS[p] === id);
+  if (hint !== "plugin" || !name) throw new Error(`@plugin not allowed: ${id}`);
+  const mod = await import(id);
+  return { path: id, base, module: mod.default ?? mod };
+}
+
+function available(pkg) {
+  try {
+    import.meta.resolve(pkg);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Compile classes to CSS. A full bundle carries preflight, the theme and
+ * the page's author CSS; a delta (`delta: true`) only the utilities,
+ * since it's layered on a base bundle that has the rest.
+ *
+ * @param {{ classes: string[], theme?: string, css?: string,
+ *           plugins?: string[], delta?: boolean }} input
+ * @returns {Promise<string>}
+ */
+export async function compileCss(input) {
+  const src = [
+    input.delta
+      ? '@import "tailwindcss/theme" layer(theme) theme(reference);\n@import "tailwindcss/utilities" layer(utilities);'
+      : '@import "tailwindcss";',
+  ];
+  for (const name of input.plugins || [])
+    src.push(`@plugin "${PLUGINS[name]}";`);
+  if (input.theme) src.push(input.theme);
+  if (input.css && !input.delta) src.push(input.css);
+
+  // A fresh compiler per bundle: build() accumulates candidates
+  const compiler = await compile(src.join("\n"), {
+    base: dirname(fileURLToPath(import.meta.url)),
+    loadStylesheet,
+    loadModule,
+  });
+  return compiler.build(input.classes);
+}
+
+// SRI form, as the client's checkIntegrity() and <link integrity> expect
+export async function integrityOf(css) {
+  const buf = await crypto.subtle.digest(
+    "SHA-384",
+    new TextEncoder().encode(css),
+  );
+  return "sha384-" + Buffer.from(buf).toString("base64");
+}
+
+// Tailwind rejects bad input (an @apply of an unknown class, a broken
+// theme block) by throwing. That's the caller's fault, and a 400 keeps
+// the client from retrying it.
+function badInput(e) {
+  e.status = 400;
+  throw e;
+}
+
+// ── Backend ──
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.store]    directory for compiled bundles
+ *                                    (default ".weft-store")
+ * @param {string} [options.version]  /v token (default from the
+ *                                    tailwindcss version); change it to
+ *                                    retire every stored bundle
+ * @returns {Promise<{ fetch: (request: Request) => Promise<Response>,
+ *                     version: string, plugins: string[] }>}
+ */
+export async function createBackend(options = {}) {
+  const store = resolve(options.store || ".weft-store");
+  await mkdir(store, { recursive: true });
+
+  const pkg = JSON.parse(
+    await readFile(
+      fileURLToPath(import.meta.resolve("tailwindcss/package.json")),
+      "utf8",
+    ),
+  );
+  const version = options.version || "tailwindcss@" + pkg.version;
+  const plugins = Object.keys(PLUGINS).filter((p) => available(PLUGINS[p]));
+  const pending = new Map(); // bundleId → Promise<string>
+  const digests = new Map(); // bundleId → integrity, for /css
+
+  const CORS = {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Expose-Headers": "Retry-After, Weft-Integrity",
+  };
+
+  function json(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: {
+        ...CORS,
+        "Content-Type": "application/json",
+        "Cache-Control": "no-store",
+        ...headers,
+      },
+    });
+  }
+
+  function fail(status, message) {
+    return json({ error: message }, status);
+  }
+
+  function fileOf(bundleId) {
+    return join(store, bundleId + ".css");
+  }
+
+  async function stored(bundleId) {
+    try {
+      return await readFile(fileOf(bundleId), "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  // Written under a temporary name first, so /css never serves half a file
+  async function save(bundleId, css) {
+    const tmp = fileOf(bundleId) + "." + process.pid + ".tmp";
+    await writeFile(tmp, css);
+    await rename(tmp, fileOf(bundleId));
+  }
+
+  // Concurrent requests for one bundle share a compile
+  function bundle(bundleId, input) {
+    if (!pending.has(bundleId)) {
+      const p = stored(bundleId)
+        .then(async (css) => {
+          if (css !== null) return css;
+          css = await compileCss(input).catch(badInput);
+          await save(bundleId, css);
+          return css;
+        })
+        .finally(() => pending.delete(bundleId));
+      pending.set(bundleId, p);
+    }
+    return pending.get(bundleId);
+  }
+
+  async function readBody(request) {
+    const text = await request.text();
+    if (text.length > MAX_BODY) return { status: 413 };
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (e) {
+      return { status: 400, message: "invalid JSON" };
+    }
+    const { classes, theme, css, plugins: names, base } = body || {};
+    if (!Array.isArray(classes) || classes.some((c) => typeof c !== "string"))
+      return { status: 400, message: "classes must be an array of strings" };
+    if (classes.length > MAX_CLASSES) return { status: 413 };
+    for (const [name, value] of [
+      ["theme", theme],
+      ["css", css],
+      ["base", base],
+    ])
+      if (value != null && typeof value !== "string")
+        return { status: 400, message: `${name} must be a string` };
+    if (names != null && !Array.isArray(names))
+      return { status: 400, message: "plugins must be an array" };
+    const unknown = (names || []).filter((p) => !plugins.includes(p));
+    if (unknown.length)
+      return { status: 400, message: `unknown plugin: ${unknown.join(", ")}` };
+    return {
+      input: {
+        classes: [...new Set(classes)].sort(),
+        theme: theme || "",
+        css: css || "",
+        plugins: [...new Set(names || [])].sort(),
+      },
+      base,
+    };
+  }
+
+  async function compileRoute(request) {
+    const { status, message, input, base } = await readBody(request);
+    if (status) return fail(status, message || "request too large");
+
+    if (base) {
+      if (!RE_BUNDLE.test(base)) return fail(400, "invalid base");
+      const css = await compileCss({ ...input, delta: true }).catch(badInput);
+      return json({ css, integrity: await integrityOf(css) });
+    }
+
+    const { id } = await compileInput(version, input.classes, input);
+    const css = await bundle(id, input);
+    return json({ bundleId: id, css, integrity: await integrityOf(css) });
+  }
+
+  async function cssRoute(bundleId, request) {
+    if (!RE_BUNDLE.test(bundleId)) return fail(404, "not found");
+    const headers = {
+      ...CORS,
+      "Cache-Control": "public, max-age=31536000, immutable",
+      ETag: `"${bundleId}"`,
+    };
+    if (request.headers.get("If-None-Match") === headers.ETag)
+      return new Response(null, { status: 304, headers });
+
+    const css = await stored(bundleId);
+    if (css === null) return fail(404, "not found");
+    // A stored bundle never changes, so neither does its digest
+    if (!digests.has(bundleId)) {
+      if (digests.size >= DIGESTS_MAX)
+        digests.delete(digests.keys().next().value);
+      digests.set(bundleId, await integrityOf(css));
+    }
+    return new Response(request.method === "HEAD" ? null : css, {
+      headers: {
+        ...headers,
+        "Content-Type": "text/css; charset=utf-8",
+        "Weft-Integrity": digests.get(bundleId),
+      },
+    });
+  }
+
+  async function fetch(request) {
+    const { pathname } = new URL(request.url);
+    const { method } = request;
+    try {
+      if (method === "OPTIONS")
+        return new Response(null, {
+          status: 204,
+          headers: {
+            ...CORS,
+            "Access-Control-Allow-Methods": "GET, HEAD, POST",
+            "Access-Control-Allow-Headers": "Content-Type",
+            "Access-Control-Max-Age": "86400",
+          },
+        });
+      if (pathname === "/v" && method === "GET")
+        return json({ v: version, plugins }, 200, {
+          "Cache-Control": "no-cache",
+        });
+      if (pathname === "/compile" && method === "POST")
+        return await compileRoute(request);
+      if (
+        pathname.startsWith("/css/") &&
+        (method === "GET" || method === "HEAD")
+      )
+        return await cssRoute(pathname.slice(5), request);
+      return fail(404, "not found");
+    } catch (e) {
+      if (!e.status) console.error("[weft]", e);
+      return fail(e.status || 500, e.message);
+    }
+  }
+
+  return { fetch, version, plugins };
+}
@@ -0,0 +1,122 @@
+/**
+ * useWeft bundle IDs and worker protocol
+ *
+ * The exact ID algorithm of the client's computeHash() and compileInput(),
+ * plus the /v and /compile calls. Runs under Bun and Node 18+.
+ */
+
+export const DEFAULT_API = "https://api.useweft.dev";
+
+// ── Hash ──
+
+export async function sha16(text) {
+  const buf = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text),
+  );
+  return Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, "0"))
+    .join("")
+    .slice(0, 16);
+}
+
+// Stock bundles hash the version token and classes only. Extra compile
+// inputs each append a "\n<name>:<sha16>" line to `salt`.
+export async function computeHash(ver, sorted, salt = "") {
+  return "b_" + (await sha16(ver + "\n" + sorted.join(",") + salt));
+}
+
+/**
+ * Build the /compile body and bundle ID for a sorted class list, the
+ * way the client does.
+ *
+ * @param {string} ver  version token from /v
+ * @param {string[]} sorted
+ * @param {{ theme?: string, css?: string, plugins?: string[] }} [extra]
+ * @returns {Promise<{ id: string, body: object, salt: string }>}
+ */
+export async function compileInput(ver, sorted, extra = {}) {
+  const body = { classes: sorted };
+  const parts = [];
+  if (extra.theme) {
+    body.theme = extra.theme;
+    parts.push("theme");
+  }
+  if (extra.css) {
+    body.css = extra.css;
+    parts.push("css");
+  }
+  if (extra.plugins && extra.plugins.length) {
+    body.plugins = extra.plugins;
+    parts.push("plugins");
+  }
+
+  let salt = "";
+  for (const name of parts) {
+    const value = body[name];
+    salt +=
+      "\n" +
+      name +
+      ":" +
+      (await sha16(typeof value === "string" ? value : value.join(",")));
+  }
+  return { id: await computeHash(ver, sorted, salt), body, salt };
+}
+
+const warnedPlugins = new Set();
+
+// Names the worker doesn't advertise are dropped, as in the client
+export function activePlugins(plugins, serverPlugins) {
+  if (!serverPlugins) return plugins;
+  return plugins.filter((name) => {
+    if (serverPlugins.includes(name)) return true;
+    if (warnedPlugins.has(name)) return false;
+    warnedPlugins.add(name);
+    console.warn(
+      `[weft] unsupported plugin: ${name} (available: ${serverPlugins.join(", ")})`,
+    );
+    return false;
+  });
+}
+
+// ── Protocol ──
+
+/**
+ * @param {string} api
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{ v: string, plugins: string[]|null }>}
+ */
+export async function fetchVersion(api, signal) {
+  const r = await fetch(api + "/v", { signal });
+  if (!r.ok) throw new Error(`${api}/v: ${r.status}`);
+  const d = await r.json();
+  return { v: d.v, plugins: Array.isArray(d.plugins) ? d.plugins : null };
+}
+
+/**
+ * @param {string} api
+ * @param {object} body
+ * @returns {Promise<{ bundleId: string, css?: string }>}
+ */
+export async function postCompile(api, body) {
+  const r = await fetch(api + "/compile", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!r.ok) throw new Error(`${api}/compile: ${r.status}`);
+  return r.json();
+}
+
+/**
+ * The bundle ID and /compile body for a page read with readPage().
+ *
+ * @param {object} page  from readPage()
+ * @param {{ v: string, plugins: string[]|null }} version  from fetchVersion()
+ */
+export function pageInput(page, version) {
+  return compileInput(version.v, page.classes, {
+    theme: page.theme,
+    css: page.css,
+    plugins: activePlugins(page.plugins, version.plugins),
+  });
+}
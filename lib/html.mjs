@@ -0,0 +1,350 @@
+/**
+ * useWeft HTML helpers
+ *
+ * Reads a page the way the client sees it at DOMContentLoaded: which
+ * classes scan() would collect, the script tag's options, and the
+ * theme / author CSS / safelist blocks. Also writes the bundle <link>
+ * into <head>. Shared by the CLI and the server helpers; no dependencies,
+ * runs under Bun and Node.
+ */
+
+// ── Tokenizer ──
+//
+// Not a full HTML parser — enough to find start tags and their attributes
+// where a browser would: comments are skipped, raw-text elements (script,
+// style, …) are read as text, and each tag knows how many <template>s
+// enclose it. Good for the markup servers and static generators emit;
+// tag soup that relies on error recovery may be read differently.
+
+const RAW_TEXT = [
+  "script",
+  "style",
+  "textarea",
+  "title",
+  "xmp",
+  "iframe",
+  "noembed",
+  "noframes",
+  "noscript",
+];
+
+const RE_TAG = /<(\/?)([A-Za-z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const RE_ATTR =
+  /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+export function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, ref) => {
+    if (ref[0] !== "#") return ENTITIES[ref.toLowerCase()] ?? m;
+    const code =
+      ref[1] === "x" || ref[1] === "X"
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+    return String.fromCodePoint(code);
+  });
+}
+
+function parseAttrs(src) {
+  const attrs = {};
+  RE_ATTR.lastIndex = 0;
+  let m;
+  while ((m = RE_ATTR.exec(src))) {
+    const name = m[1].toLowerCase();
+    // First occurrence wins, as in the browser
+    if (name in attrs) continue;
+    attrs[name] = decode(m[2] ?? m[3] ?? m[4] ?? "");
+  }
+  return attrs;
+}
+
+/**
+ * Start tags in document order, as
+ * `{ name, attrs, start, end, text, inert, inTemplate }`:
+ * `text` is the content of raw-text elements, `inert` is true inside a
+ * <template> that isn't a declarative open shadow root, and `inTemplate`
+ * inside any <template>.
+ *
+ * @param {string} html
+ * @returns {object[]}
+ */
+export function tags(html) {
+  const out = [];
+  const templates = []; // enclosing <template>s: true if inert
+  let pos = 0;
+
+  while (pos < html.length) {
+    const lt = html.indexOf("<", pos);
+    if (lt === -1) break;
+
+    if (html.startsWith("<!--", lt)) {
+      const close = html.indexOf("-->", lt + 4);
+      pos = close === -1 ? html.length : close + 3;
+      continue;
+    }
+    if (html[lt + 1] === "!" || html[lt + 1] === "?") {
+      const close = html.indexOf(">", lt);
+      pos = close === -1 ? html.length : close + 1;
+      continue;
+    }
+
+    RE_TAG.lastIndex = lt;
+    const m = RE_TAG.exec(html);
+    if (!m || m.index !== lt) {
+      pos = lt + 1;
+      continue;
+    }
+    pos = RE_TAG.lastIndex;
+    const name = m[2].toLowerCase();
+
+    if (m[1]) {
+      if (name === "template") templates.pop();
+      continue;
+    }
+
+    const tag = {
+      name,
+      attrs: parseAttrs(m[3]),
+      start: lt,
+      end: pos,
+      text: null,
+      inert: templates.includes(true),
+      inTemplate: templates.length > 0,
+    };
+    out.push(tag);
+
+    if (name === "template")
+      templates.push(tag.attrs.shadowrootmode !== "open");
+
+    if (RAW_TEXT.includes(name)) {
+      const re = new RegExp("</" + name + "[\\s/>]", "ig");
+      re.lastIndex = pos;
+      const close = re.exec(html);
+      const stop = close ? close.index : html.length;
+      tag.text = html.slice(pos, stop);
+      pos = stop;
+    }
+  }
+  return out;
+}
+
+// ── Extract ──
+//
+// Same rules as the client's scan() and extractTokens().
+
+const RE_STRING = /(["'`])((?:\\.|(?!\1)[^\\])*)\1/g;
+const RE_KEY = /[{,]\s*([A-Za-z_$][\w$-]*)\s*:/g;
+const RE_INTERP = /\$\{[^}]*\}/g;
+
+export const DEFAULT_BINDINGS = [":class", "x-bind:class", "v-bind:class"];
+
+export function parseBindings(attr) {
+  if (!attr) return [];
+  if (attr === "true") return DEFAULT_BINDINGS;
+  return attr.split(",").map((name) => name.trim());
+}
+
+function extractTokens(expr, set) {
+  let m;
+  RE_STRING.lastIndex = RE_KEY.lastIndex = 0;
+  while ((m = RE_STRING.exec(expr))) {
+    for (const part of m[2].replace(RE_INTERP, " ").split(/\s+/)) {
+      if (part && !/["'`\\]/.test(part)) set.add(part);
+    }
+  }
+  while ((m = RE_KEY.exec(expr))) set.add(m[1]);
+}
+
+export function parseSafelist(text) {
+  return text.split(/\s+/).filter(Boolean).flatMap(expand);
+}
+
+// "bg-{red,green}-{500,600}" → bg-red-500, bg-red-600, bg-green-500, …
+function expand(pattern) {
+  const m = /\{([^{}]*)\}/.exec(pattern);
+  if (!m) return [pattern];
+  const head = pattern.slice(0, m.index);
+  const tail = pattern.slice(m.index + m[0].length);
+  return m[1].split(",").flatMap((alt) => expand(head + alt.trim() + tail));
+}
+
+export function parsePlugins(value) {
+  const list = typeof value === "string" ? value.split(",") : value;
+  return [
+    ...new Set(list.map((name) => String(name).trim()).filter(Boolean)),
+  ].sort();
+}
+
+// ── Page ──
+
+const SCRIPT_SRC = /(?:^|\/)(?:useweft[^/]*|latest)\.js(?:[?#]|$)/;
+
+/**
+ * The useWeft <script> tag of a page, or null.
+ *
+ * @param {object[]} list  result of tags()
+ */
+export function weftScript(list) {
+  return (
+    list.find(
+      (t) =>
+        t.name === "script" &&
+        !t.inTemplate &&
+        SCRIPT_SRC.test(t.attrs.src || ""),
+    ) || null
+  );
+}
+
+/**
+ * Everything that goes into a page's bundle ID, read from its HTML.
+ * Options on the page's own script tag apply; `overrides` (same names,
+ * without the data- prefix) win over them.
+ *
+ * @param {string} html
+ * @param {object} [overrides]  { api, templates, bindings, safelist, plugins }
+ * @returns {{ script: object|null, api: string|null, classes: string[],
+ *             theme: string, css: string, plugins: string[] }}
+ */
+export function readPage(html, overrides = {}) {
+  const list = tags(html);
+  const script = weftScript(list);
+  const opt = (name) =>
+    overrides[name] ?? (script && script.attrs["data-" + name]) ?? null;
+
+  const scanTemplates = String(opt("templates")) === "true";
+  const bindings = Array.isArray(opt("bindings"))
+    ? opt("bindings")
+    : parseBindings(opt("bindings"));
+  const safelist = parseSafelist(opt("safelist") || "");
+
+  const set = new Set(safelist);
+  const theme = [];
+  const css = [];
+
+  for (const t of list) {
+    if (!t.inert || scanTemplates) {
+      for (const c of (t.attrs.class || "").split(/[\t\n\f\r ]+/))
+        if (c) set.add(c);
+      for (const name of bindings)
+        if (t.attrs[name]) extractTokens(t.attrs[name], set);
+    }
+    // querySelectorAll() doesn't look inside templates or shadow roots
+    if (t.inTemplate || t.text === null) continue;
+    const type = t.attrs.type;
+    if (t.name === "style" && type === "text/tailwindcss" && t.text.trim())
+      theme.push(t.text.trim());
+    if (t.name === "style" && type === "text/weft" && t.text.trim())
+      css.push(t.text.trim());
+    if (t.name === "script" && type === "application/weft-safelist")
+      for (const c of parseSafelist(t.text)) set.add(c);
+  }
+
+  return {
+    script,
+    api: opt("api"),
+    classes: [...set].sort(),
+    theme: theme.join("\n"),
+    css: css.join("\n"),
+    plugins: parsePlugins(opt("plugins") || []),
+  };
+}
+
+// ── Inject ──
+
+/**
+ * Put `<link rel="stylesheet" data-weft-bundle>` for a bundle into
+ * <head>, ahead of the useWeft script so the client finds it and adopts
+ * it as its optimistic link. Replaces one from an earlier run.
+ *
+ * @param {string} html
+ * @param {string} href
+ * @param {string} bundleId
+ * @returns {string}
+ */
+export function injectLink(html, href, bundleId) {
+  html = removeTags(
+    html,
+    (t) => t.name === "link" && "data-weft-bundle" in t.attrs,
+  );
+  return insertInHead(
+    html,
+    `<link rel="stylesheet" href="${escapeAttr(href)}" data-weft-bundle="${escapeAttr(bundleId)}">`,
+  );
+}
+
+/**
+ * Insert markup into <head>: just before the useWeft script when it's
+ * there, else at the end of <head>.
+ *
+ * @param {string} html
+ * @param {string} markup
+ * @returns {string}
+ */
+export function insertInHead(html, markup) {
+  const list = tags(html);
+  const script = weftScript(list);
+  const head = list.find((t) => t.name === "head");
+  const body = list.find((t) => t.name === "body");
+
+  let at;
+  if (script && (!body || script.start < body.start)) at = script.start;
+  else {
+    const close = html.search(/<\/head\s*>/i);
+    if (close !== -1) at = close;
+    else if (head) at = head.end;
+    else at = body ? body.start : 0;
+  }
+  // Line up with whatever we're inserting in front of
+  const lineStart = html.lastIndexOf("\n", at - 1) + 1;
+  const indent = html.slice(lineStart, at);
+  if (/^[ \t]*$/.test(indent))
+    return (
+      html.slice(0, lineStart) + indent + markup + "\n" + html.slice(lineStart)
+    );
+  return html.slice(0, at) + markup + html.slice(at);
+}
+
+/**
+ * Remove every start tag matching `test` (with its content and end tag
+ * for raw-text elements such as <script>), plus the line break after it.
+ *
+ * @param {string} html
+ * @param {(tag: object) => boolean} test
+ * @returns {string}
+ */
+export function removeTags(html, test) {
+  const list = tags(html).filter(test);
+  for (let i = list.length - 1; i >= 0; i--) {
+    const t = list[i];
+    let end = t.end;
+    if (t.text !== null) {
+      end += t.text.length;
+      const close = /^<\/[^>]*>/.exec(html.slice(end));
+      if (close) end += close[0].length;
+    }
+    let start = t.start;
+    // Take the tag's own line with it when it has one
+    const before = html.lastIndexOf("\n", start - 1);
+    const after = /^[ \t]*\r?\n/.exec(html.slice(end));
+    if (after && /^[ \t]*$/.test(html.slice(before + 1, start))) {
+      start = before + 1;
+      end += after[0].length;
+    }
+    html = html.slice(0, start) + html.slice(end);
+  }
+  return html;
+}
+
+export function escapeAttr(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;");
+}
@@ -0,0 +1,217 @@
+/**
+ * useWeft server helpers
+ *
+ * Server-rendered apps already know their markup before it's sent, so
+ * they can name the bundle up front instead of leaving the client to
+ * find out after DOMContentLoaded, a /v round-trip and a SHA-256:
+ *
+ *   import { createLinker } from "./lib/server.mjs";
+ *   const weft = createLinker({ api: "https://api.useweft.dev" });
+ *   app.use(weft.middleware());                  // Express / Connect
+ *   html = await weft.inject(html);              // anything else
+ *
+ * The page gets <link rel="stylesheet" data-weft-bundle="b_…"> in its
+ * <head>, which the client adopts as its optimistic link.
+ *
+ * Porting to Django, Rails, …: a bundle ID is
+ *
+ *   "b_" + hex(sha256(ver + "\n" + classes.join(",") + salt)).slice(0, 16)
+ *
+ * with `ver` from GET /v, `classes` sorted by UTF-16 code unit, and
+ * `salt` one "\n<name>:<sha16(value)>" line per extra input present, in
+ * the order theme, css, plugins (plugins joined with ","). See
+ * compileInput() in lib/bundle.mjs.
+ */
+
+import {
+  DEFAULT_API,
+  fetchVersion,
+  pageInput,
+  postCompile,
+} from "./bundle.mjs";
+import { injectLink, readPage } from "./html.mjs";
+
+export { computeHash, compileInput, sha16 } from "./bundle.mjs";
+export { injectLink, readPage } from "./html.mjs";
+
+const VERSION_TTL = 60000;
+const WARM_TIMEOUT = 1500;
+const VERSION_RETRY = 10000;
+const KNOWN_MAX = 1000;
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.api]        worker base URL (default: the page's
+ *                                      data-api, else the hosted worker)
+ * @param {boolean} [options.warm]      compile bundles this process hasn't
+ *                                      seen before linking them (default true)
+ * @param {number} [options.timeout]    ms to wait for /v, and for that
+ *                                      compile, before leaving the page to
+ *                                      the client
+ * @param {number} [options.versionTtl] ms to reuse a /v token
+ * Page options (templates, bindings, safelist, plugins) override the
+ * script tag's data-* attributes, as in readPage().
+ */
+export function createLinker(options = {}) {
+  const {
+    api: apiOption,
+    warm = true,
+    timeout = WARM_TIMEOUT,
+    versionTtl = VERSION_TTL,
+    ...overrides
+  } = options;
+
+  const versions = new Map(); // api → { at, value: Promise, failed? }
+  const known = new Set(); // bundle IDs compiled from this process
+
+  // Cached per worker; a failed refresh keeps the last good token. With
+  // none to keep, the failure itself is cached for VERSION_RETRY, so a
+  // worker that's down doesn't hold every page up for `timeout`.
+  function versionOf(api) {
+    const hit = versions.get(api);
+    const ttl = hit && hit.failed ? VERSION_RETRY : versionTtl;
+    if (hit && Date.now() - hit.at < ttl) return hit.value;
+
+    const entry = { at: Date.now() };
+    entry.value = fetchVersion(api, AbortSignal.timeout(timeout)).catch((e) => {
+      if (hit && !hit.failed) return hit.value;
+      entry.at = Date.now();
+      entry.failed = true;
+      throw e;
+    });
+    versions.set(api, entry);
+    return entry.value;
+  }
+
+  function remember(id) {
+    if (known.size >= KNOWN_MAX) known.delete(known.values().next().value);
+    known.add(id);
+  }
+
+  function compileWithin(api, body, ms) {
+    let timer;
+    return Promise.race([
+      postCompile(api, body),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error("compile timed out")), ms);
+      }),
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * The bundle a rendered page will ask for, or null if it doesn't load
+   * the useWeft script or has no classes.
+   *
+   * @param {string} html
+   * @returns {Promise<{ id: string, href: string, classes: string[] }|null>}
+   */
+  async function bundleFor(html) {
+    const page = readPage(html, overrides);
+    if (!page.script || !page.classes.length) return null;
+
+    const api = (apiOption || page.api || DEFAULT_API).replace(/\/+$/, "");
+    const input = await pageInput(page, await versionOf(api));
+
+    if (warm && !known.has(input.id)) {
+      const d = await compileWithin(api, input.body, timeout);
+      // A different answer means our inputs don't match the worker's
+      if (d.bundleId !== input.id) return null;
+    }
+    remember(input.id);
+    return {
+      id: input.id,
+      href: api + "/css/" + input.id,
+      classes: page.classes,
+    };
+  }
+
+  /**
+   * Return `html` with its bundle linked in <head>. Any failure (worker
+   * down, slow compile) returns the page untouched; the client then
+   * styles it as usual.
+   *
+   * @param {string} html
+   * @returns {Promise<string>}
+   */
+  async function inject(html) {
+    try {
+      const b = await bundleFor(html);
+      return b ? injectLink(html, b.href, b.id) : html;
+    } catch (e) {
+      console.warn("[weft] bundle link skipped:", e.message);
+      return html;
+    }
+  }
+
+  /**
+   * Express / Connect middleware. Buffers text/html responses and runs
+   * them through inject() before they're sent; everything else streams
+   * through untouched. Mount it after compression so it sees plain text.
+   *
+   * @returns {(req, res, next) => void}
+   */
+  function middleware() {
+    return function weftMiddleware(req, res, next) {
+      const write = res.write;
+      const end = res.end;
+      const chunks = [];
+      let passthrough = null;
+
+      function isHtml() {
+        if (passthrough === null) {
+          const type = String(res.getHeader("Content-Type") || "");
+          passthrough =
+            req.method === "HEAD" ||
+            res.statusCode !== 200 ||
+            !/^text\/html\b/i.test(type) ||
+            !!res.getHeader("Content-Encoding");
+        }
+        return !passthrough;
+      }
+
+      function collect(chunk, encoding) {
+        if (chunk == null) return;
+        chunks.push(
+          Buffer.isBuffer(chunk)
+            ? chunk
+            : Buffer.from(
+                chunk,
+                typeof encoding === "string" ? encoding : "utf8",
+              ),
+        );
+      }
+
+      res.write = function (chunk, encoding, cb) {
+        if (!isHtml()) return write.apply(this, arguments);
+        collect(chunk, encoding);
+        if (typeof encoding === "function") encoding();
+        else if (typeof cb === "function") cb();
+        return true;
+      };
+
+      res.end = function (chunk, encoding, cb) {
+        if (!isHtml()) return end.apply(this, arguments);
+        if (typeof chunk === "function") [chunk, cb] = [null, chunk];
+        else if (typeof encoding === "function")
+          [encoding, cb] = [null, encoding];
+        collect(chunk, encoding);
+
+        const html = Buffer.concat(chunks).toString("utf8");
+        inject(html).then((out) => {
+          const body = Buffer.from(out, "utf8");
+          if (!res.headersSent) {
+            res.setHeader("Content-Length", body.length);
+            // Computed for the original body
+            if (out !== html) res.removeHeader("ETag");
+          }
+          end.call(res, body, cb);
+        });
+        return res;
+      };
+
+      next();
+    };
+  }
+
+  return { bundleFor, inject, middleware };
+}
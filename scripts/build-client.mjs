@@ -0,0 +1,44 @@
+/**
+ * Regenerate the script-tag build from the ES module.
+ *
+ *   bun scripts/build-client.mjs
+ *
+ * client/useweft.mjs is the source of truth. client/useweft-0.3.0.js
+ * keeps its own header and script-tag wrapper; only the region between
+ * the Core and Script tag markers is replaced, with the module's body
+ * (minus its header comment and `export`s) indented into the IIFE.
+ * useweft-dev.js is written as an identical copy.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+
+const SOURCE = "client/useweft.mjs";
+const TARGET = "client/useweft-0.3.0.js";
+const COPIES = ["client/useweft-dev.js"];
+
+const CORE =
+  "  // ── Core (generated from useweft.mjs by `mise run build`) ──\n";
+const WRAPPER = "  // ── Script tag ──\n";
+
+const source = await readFile(SOURCE, "utf8");
+const target = await readFile(TARGET, "utf8");
+
+const from = target.indexOf(CORE);
+const to = target.indexOf(WRAPPER);
+if (from === -1 || to < from)
+  throw new Error(`${TARGET}: Core / Script tag markers not found`);
+
+// Drop the module's header comment
+const body = source.slice(source.indexOf("*/\n") + 3).trim();
+const core = body
+  .replace(/^export /gm, "")
+  .split("\n")
+  .map((line) => (line ? "  " + line : line))
+  .join("\n");
+
+const out =
+  target.slice(0, from + CORE.length) + "\n" + core + "\n\n" + target.slice(to);
+
+await writeFile(TARGET, out);
+for (const file of COPIES) await writeFile(file, out);
+console.log(`wrote ${[TARGET, ...COPIES].join(", ")}`);